@@ -0,0 +1,209 @@
+/**
+ * Admin REST API for live operations
+ * Mounted at /admin and guarded by ADMIN_API_TOKEN (Authorization: Bearer <token>)
+ * Every action is appended to the audit log (ADMIN_AUDIT_FILE)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const rooms = require('./rooms');
+const backend = require('./backendClient');
+const webhooks = require('./webhooks');
+const scheduler = require('./scheduler');
+const logger = require('./utils/logger');
+
+const AUDIT_FILE = process.env.ADMIN_AUDIT_FILE || path.join(process.cwd(), 'data', 'admin-audit.log');
+
+// Constant-time token comparison (hashing first so lengths always match)
+function tokenMatches(provided, expected) {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function requireAdminToken(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ success: false, code: 'admin_not_configured', error: 'ADMIN_API_TOKEN is not set' });
+  }
+
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!provided || !tokenMatches(provided, expected)) {
+    logger.warn('Rejected admin request', { event: 'admin_unauthorized', method: req.method, path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({ success: false, code: 'unauthorized', error: 'Invalid admin token' });
+  }
+
+  next();
+}
+
+// Append one audit record; failures are logged but never block the action
+async function audit(req, action, target, result) {
+  const record = {
+    at: new Date().toISOString(),
+    action,
+    target,
+    actor: req.get('X-Admin-User') || null,
+    ip: req.ip,
+    result
+  };
+
+  logger.info(`🛠️ Admin action: ${action}`, { event: 'admin_action', ...record });
+
+  try {
+    await fs.promises.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+    await fs.promises.appendFile(AUDIT_FILE, JSON.stringify(record) + '\n');
+  } catch (error) {
+    logger.error('Failed to write admin audit record:', error.message);
+  }
+}
+
+// Express 4 does not catch rejected promises from async handlers
+const route = (handler) => (req, res, next) => handler(req, res).catch(next);
+
+function createAdminRouter({ io, eventHandler }) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+
+  // List connected sockets across all instances with their identity
+  router.get('/sockets', route(async (req, res) => {
+    const sockets = await io.fetchSockets();
+    const list = sockets.map(socket => ({
+      socketId: socket.id,
+      userId: socket.data.userId,
+      userType: socket.data.userType,
+      rooms: [...socket.rooms].filter(room => room !== socket.id),
+      connectedAt: new Date(socket.handshake.issued).toISOString(),
+      address: socket.handshake.address
+    }));
+    await audit(req, 'list_sockets', null, { count: list.length });
+    res.json({ success: true, sockets: list, count: list.length });
+  }));
+
+  // Inspect a single call including its state history
+  router.get('/calls/:callId', route(async (req, res) => {
+    const { callId } = req.params;
+    const call = await rooms.getCall(callId);
+    await audit(req, 'inspect_call', { callId }, { found: Boolean(call) });
+    if (!call) {
+      return res.status(404).json({ success: false, code: 'call_not_found', error: 'Call not found' });
+    }
+    res.json({ success: true, call });
+  }));
+
+  // Force-end a call: both parties get call_ended and the backend stops billing
+  router.post('/calls/:callId/end', route(async (req, res) => {
+    const { callId } = req.params;
+    const reason = (req.body && typeof req.body.reason === 'string' && req.body.reason.slice(0, 200)) || 'admin_force_end';
+
+    // A call missing here may still be stuck in the backend, which is told to end it anyway
+    const result = await eventHandler.forceEndCall(callId, reason, 'admin', { notifyIfMissing: true });
+    await audit(req, 'force_end_call', { callId }, { ...result, reason });
+
+    if (!result.success) {
+      return res.status(result.code === 'call_not_found' ? 404 : 409).json(result);
+    }
+    res.json(result);
+  }));
+
+  // Disconnect a socket (on whichever instance holds it)
+  router.post('/sockets/:socketId/disconnect', route(async (req, res) => {
+    const { socketId } = req.params;
+    const sockets = await io.in(socketId).fetchSockets();
+    if (sockets.length === 0) {
+      await audit(req, 'disconnect_socket', { socketId }, { found: false });
+      return res.status(404).json({ success: false, code: 'socket_not_found', error: 'Socket not found' });
+    }
+
+    io.in(socketId).disconnectSockets(true);
+    await audit(req, 'disconnect_socket', { socketId }, { found: true, userId: sockets[0].data.userId });
+    res.json({ success: true, socketId });
+  }));
+
+  // Clear an expert's busy flag in the backend and broadcast their presence
+  router.post('/experts/:expertId/clear-busy', route(async (req, res) => {
+    const { expertId } = req.params;
+    const activeCalls = await rooms.getExpertActiveCalls(expertId);
+
+    try {
+      await backend.put(`/api/experts/set-online-internal/${expertId}`, { isBusy: false });
+    } catch (error) {
+      await audit(req, 'clear_expert_busy', { expertId }, { success: false, error: error.message });
+      const code = error.code === 'backend_unavailable' ? 'backend_unavailable' : 'backend_error';
+      return res.status(502).json({ success: false, code, error: error.message });
+    }
+
+    const presence = await eventHandler.broadcastPresence(expertId, 'admin_clear_busy');
+    await audit(req, 'clear_expert_busy', { expertId }, { success: true, activeCalls: activeCalls.length, presence });
+    // Calls still held here keep the expert busy; end them first if they are stuck
+    res.json({ success: true, expertId, presence, activeCalls });
+  }));
+
+  // Webhook subscribers (without secrets) and the most recent deliveries
+  router.get('/webhooks', route(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    await audit(req, 'list_webhooks', null, { limit });
+    res.json({
+      success: true,
+      subscribers: webhooks.getSubscribers(),
+      stats: webhooks.getStats(),
+      deliveries: webhooks.getDeliveries(limit)
+    });
+  }));
+
+  // Register a scheduled consultation: { appointmentId, callId, userId, expertId, startAt }
+  router.post('/appointments', route(async (req, res) => {
+    const body = req.body || {};
+    try {
+      const appointment = await scheduler.add(body);
+      await audit(req, 'schedule_appointment', { appointmentId: appointment.appointmentId }, { success: true, startAt: appointment.startAt });
+      res.status(201).json({ success: true, appointment });
+    } catch (error) {
+      if (!(error instanceof scheduler.ScheduleError)) throw error;
+      await audit(req, 'schedule_appointment', { appointmentId: body.appointmentId || null }, { success: false, code: error.code });
+      res.status(error.code === 'appointment_exists' ? 409 : 400).json({ success: false, code: error.code, error: error.message });
+    }
+  }));
+
+  // Appointments known to this instance, soonest first (?status= to filter)
+  router.get('/appointments', route(async (req, res) => {
+    const appointments = scheduler.list(req.query.status);
+    await audit(req, 'list_appointments', null, { status: req.query.status || null, count: appointments.length });
+    res.json({ success: true, appointments, count: appointments.length });
+  }));
+
+  router.get('/appointments/:appointmentId', route(async (req, res) => {
+    const { appointmentId } = req.params;
+    const appointment = scheduler.get(appointmentId);
+    await audit(req, 'inspect_appointment', { appointmentId }, { found: Boolean(appointment) });
+    if (!appointment) {
+      return res.status(404).json({ success: false, code: 'appointment_not_found', error: 'Appointment not found' });
+    }
+    res.json({ success: true, appointment });
+  }));
+
+  // Cancel an appointment that has not started ringing; both parties get schedule:outcome
+  router.delete('/appointments/:appointmentId', route(async (req, res) => {
+    const { appointmentId } = req.params;
+    try {
+      const appointment = await scheduler.cancel(appointmentId, 'cancelled_by_admin');
+      await audit(req, 'cancel_appointment', { appointmentId }, { success: true });
+      res.json({ success: true, appointment });
+    } catch (error) {
+      if (!(error instanceof scheduler.ScheduleError)) throw error;
+      await audit(req, 'cancel_appointment', { appointmentId }, { success: false, code: error.code });
+      res.status(error.code === 'appointment_not_found' ? 404 : 409).json({ success: false, code: error.code, error: error.message });
+    }
+  }));
+
+  router.use((error, req, res, next) => {
+    logger.error(`Admin request ${req.method} ${req.originalUrl} failed:`, error.message);
+    res.status(500).json({ success: false, code: 'internal_error', error: 'Admin request failed' });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
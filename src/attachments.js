@@ -0,0 +1,322 @@
+/**
+ * Chat attachments
+ * Files are declared up front (name, MIME type, size, SHA-256), uploaded over the socket in
+ * bounded chunks and checked against the declaration before the receiver hears about them
+ *
+ * Finished files live in ATTACHMENT_DIR as <attachmentId> plus <attachmentId>.json metadata and
+ * are served by GET /attachments/:attachmentId to the sender, the receiver or members of the chat
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const backend = require('./backendClient');
+const { verifyToken } = require('./auth');
+const logger = require('./utils/logger');
+
+const ATTACHMENT_DIR = process.env.ATTACHMENT_DIR || path.join(process.cwd(), 'data', 'attachments');
+
+// Largest file accepted (default 10 MB) and the largest chunk per attachment:chunk event (default 256 KB)
+const MAX_FILE_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const CHUNK_BYTES = parseInt(process.env.ATTACHMENT_CHUNK_BYTES, 10) || 256 * 1024;
+
+const ALLOWED_TYPES = (process.env.ATTACHMENT_ALLOWED_TYPES || 'image/jpeg,image/png,image/gif,image/webp,application/pdf')
+  .split(',')
+  .map(type => type.trim().toLowerCase())
+  .filter(Boolean);
+
+// Uploads with no chunk for this long are dropped (default 60 seconds)
+const UPLOAD_IDLE_TIMEOUT = parseInt(process.env.ATTACHMENT_UPLOAD_TIMEOUT_MS, 10) || 60 * 1000;
+
+// Finished files are deleted after this long (default 30 days)
+const RETENTION = parseInt(process.env.ATTACHMENT_RETENTION_MS, 10) || 30 * 24 * 60 * 60 * 1000;
+
+// What each type's file starts with; the content decides the type, not the client's declaration
+const SIGNATURES = {
+  'image/jpeg': head => head.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  'image/png': head => head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/gif': head => ['GIF87a', 'GIF89a'].includes(head.subarray(0, 6).toString('latin1')),
+  'image/webp': head => head.subarray(0, 4).toString('latin1') === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WEBP',
+  'application/pdf': head => head.subarray(0, 5).toString('latin1') === '%PDF-'
+};
+
+// Allowed types we cannot recognise by content can never be uploaded
+for (const type of ALLOWED_TYPES.filter(type => !SIGNATURES[type])) {
+  logger.warn(`ATTACHMENT_ALLOWED_TYPES lists ${type}, which has no known file signature; uploads of it will be refused`);
+}
+
+// The allowed type whose signature the file starts with, or null
+function detectType(head) {
+  return ALLOWED_TYPES.find(type => SIGNATURES[type] && SIGNATURES[type](head)) || null;
+}
+
+const MAX_UPLOADS_PER_SOCKET = 3;
+const SWEEP_INTERVAL = 30 * 1000;
+
+class AttachmentError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class Attachments {
+  constructor(dir = ATTACHMENT_DIR) {
+    this.dir = dir;
+
+    // uploadId -> upload in progress (held by the instance the socket is connected to)
+    this.uploads = new Map();
+
+    this.interval = null;
+  }
+
+  start() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.interval = setInterval(() => {
+      this.sweep().catch(error => logger.error('Attachment sweep failed:', error.message));
+    }, SWEEP_INTERVAL);
+    this.interval.unref();
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  filePath(attachmentId) {
+    return path.join(this.dir, attachmentId);
+  }
+
+  // Check a declared file against the limits and open an upload for it
+  async begin({ socketId, senderId, receiverId, chatId, tempId, name, mimeType, size, sha256 }) {
+    const type = mimeType.toLowerCase();
+    if (!ALLOWED_TYPES.includes(type)) {
+      throw new AttachmentError('attachment_type_not_allowed', `Files of type ${mimeType} are not allowed`, { allowedTypes: ALLOWED_TYPES });
+    }
+    if (!Number.isInteger(size) || size > MAX_FILE_BYTES) {
+      throw new AttachmentError('attachment_too_large', `Files may be at most ${MAX_FILE_BYTES} bytes`, { maxBytes: MAX_FILE_BYTES });
+    }
+    if (!/^[a-f0-9]{64}$/i.test(sha256)) {
+      throw new AttachmentError('invalid_payload', 'sha256 must be a hex SHA-256 digest');
+    }
+
+    const open = [...this.uploads.values()].filter(upload => upload.socketId === socketId).length;
+    if (open >= MAX_UPLOADS_PER_SOCKET) {
+      throw new AttachmentError('too_many_uploads', `At most ${MAX_UPLOADS_PER_SOCKET} uploads at a time`);
+    }
+
+    const upload = {
+      uploadId: crypto.randomUUID(),
+      attachmentId: crypto.randomUUID(),
+      socketId,
+      senderId,
+      receiverId: receiverId || null,
+      chatId: chatId || null,
+      tempId,
+      name: path.basename(name),
+      mimeType: type,
+      size,
+      sha256: sha256.toLowerCase(),
+      totalChunks: Math.ceil(size / CHUNK_BYTES),
+      nextIndex: 0,
+      receivedBytes: 0,
+      hash: crypto.createHash('sha256'),
+      writeChain: Promise.resolve(),
+      lastChunkAt: Date.now()
+    };
+    upload.tmpPath = `${this.filePath(upload.attachmentId)}.part`;
+
+    await fs.promises.writeFile(upload.tmpPath, Buffer.alloc(0));
+    this.uploads.set(upload.uploadId, upload);
+    logger.info('📎 Attachment upload started', { uploadId: upload.uploadId, senderId, mimeType: type, size });
+    return { uploadId: upload.uploadId, attachmentId: upload.attachmentId, chunkSize: CHUNK_BYTES, totalChunks: upload.totalChunks };
+  }
+
+  // Append the next chunk; chunks must come in order and may not run past the declared size
+  // The index is checked before the first await so back-to-back chunks cannot overtake each other
+  async appendChunk(socketId, uploadId, index, data) {
+    const upload = this.uploads.get(uploadId);
+    if (!upload || upload.socketId !== socketId) {
+      throw new AttachmentError('upload_not_found', 'Upload not found');
+    }
+    if (index !== upload.nextIndex) {
+      throw new AttachmentError('chunk_out_of_order', `Expected chunk ${upload.nextIndex}`, { expectedIndex: upload.nextIndex });
+    }
+
+    const chunk = Buffer.from(data);
+    if (chunk.length === 0 || chunk.length > CHUNK_BYTES || upload.receivedBytes + chunk.length > upload.size) {
+      await this.abort(uploadId, 'bad_chunk_size');
+      throw new AttachmentError('attachment_size_mismatch', 'Chunk does not fit the declared file size', { chunkSize: CHUNK_BYTES, size: upload.size });
+    }
+
+    // The first chunk holds the file signature; it has to match the declared type
+    if (index === 0 && detectType(chunk) !== upload.mimeType) {
+      await this.abort(uploadId, 'type_mismatch');
+      throw new AttachmentError('attachment_type_mismatch', `File content is not ${upload.mimeType}`, { allowedTypes: ALLOWED_TYPES });
+    }
+
+    upload.nextIndex += 1;
+    upload.receivedBytes += chunk.length;
+    upload.lastChunkAt = Date.now();
+    upload.hash.update(chunk);
+    upload.writeChain = upload.writeChain.then(() => fs.promises.appendFile(upload.tmpPath, chunk));
+    await upload.writeChain;
+
+    const progress = { index, receivedBytes: upload.receivedBytes, size: upload.size, totalChunks: upload.totalChunks };
+    if (upload.receivedBytes < upload.size) {
+      return { done: false, ...progress };
+    }
+    return { done: true, ...progress, upload: await this.finish(upload) };
+  }
+
+  // Verify the hash and move the file into place with its metadata
+  async finish(upload) {
+    this.uploads.delete(upload.uploadId);
+
+    const digest = upload.hash.digest('hex');
+    if (digest !== upload.sha256) {
+      await fs.promises.rm(upload.tmpPath, { force: true });
+      logger.warn('Attachment hash mismatch', { uploadId: upload.uploadId, senderId: upload.senderId });
+      throw new AttachmentError('attachment_hash_mismatch', 'Uploaded file does not match the declared sha256');
+    }
+
+    const meta = {
+      attachmentId: upload.attachmentId,
+      name: upload.name,
+      mimeType: upload.mimeType,
+      size: upload.size,
+      sha256: upload.sha256,
+      senderId: upload.senderId,
+      receiverId: upload.receiverId,
+      chatId: upload.chatId,
+      createdAt: Date.now()
+    };
+    await fs.promises.rename(upload.tmpPath, this.filePath(upload.attachmentId));
+    await fs.promises.writeFile(`${this.filePath(upload.attachmentId)}.json`, JSON.stringify(meta));
+
+    logger.info('📎 Attachment stored', { attachmentId: meta.attachmentId, senderId: meta.senderId, size: meta.size });
+    return { ...meta, tempId: upload.tempId };
+  }
+
+  async abort(uploadId, reason) {
+    const upload = this.uploads.get(uploadId);
+    if (!upload) return false;
+
+    this.uploads.delete(uploadId);
+    await upload.writeChain.catch(() => {});
+    await fs.promises.rm(upload.tmpPath, { force: true });
+    logger.info('Attachment upload aborted', { uploadId, senderId: upload.senderId, reason });
+    return true;
+  }
+
+  // Sender gave up on an upload; false if it is not theirs or already gone
+  async cancel(socketId, uploadId) {
+    const upload = this.uploads.get(uploadId);
+    if (!upload || upload.socketId !== socketId) {
+      return false;
+    }
+    return this.abort(uploadId, 'cancelled');
+  }
+
+  // Drop every upload of a socket that went away
+  async abortSocket(socketId) {
+    for (const upload of [...this.uploads.values()]) {
+      if (upload.socketId === socketId) {
+        await this.abort(upload.uploadId, 'disconnected');
+      }
+    }
+  }
+
+  async getMeta(attachmentId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(`${this.filePath(attachmentId)}.json`, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Drop idle uploads and files past retention
+  async sweep() {
+    const now = Date.now();
+    for (const upload of [...this.uploads.values()]) {
+      if (now - upload.lastChunkAt > UPLOAD_IDLE_TIMEOUT) {
+        await this.abort(upload.uploadId, 'idle');
+      }
+    }
+
+    for (const file of await fs.promises.readdir(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      const attachmentId = file.slice(0, -'.json'.length);
+      const meta = await this.getMeta(attachmentId);
+      if (meta && now - meta.createdAt > RETENTION) {
+        await fs.promises.rm(this.filePath(attachmentId), { force: true });
+        await fs.promises.rm(`${this.filePath(attachmentId)}.json`, { force: true });
+        logger.info('Attachment expired', { attachmentId });
+      }
+    }
+  }
+
+  getStats() {
+    return { uploading: this.uploads.size };
+  }
+}
+
+// Who may download: the sender, the receiver, or a member of the chat it was sent to
+async function canDownload(meta, userId) {
+  if (userId === meta.senderId || userId === meta.receiverId) {
+    return true;
+  }
+  if (!meta.chatId) {
+    return false;
+  }
+  try {
+    const response = await backend.get(`/api/chats/internal/${meta.chatId}/members/${userId}`);
+    return Boolean(response.data?.isMember);
+  } catch (error) {
+    logger.warn('Attachment access check failed', { attachmentId: meta.attachmentId, userId, error: error.message });
+    return false;
+  }
+}
+
+// Express 4 does not catch rejected promises from async handlers
+const route = (handler) => (req, res, next) => handler(req, res).catch(next);
+
+// GET /attachments/:attachmentId with the socket JWT as a Bearer header
+// Not taken from the query string: URLs end up in access logs and Referer headers
+function createAttachmentRouter(attachments) {
+  const router = express.Router();
+
+  router.get('/:attachmentId', route(async (req, res) => {
+    const header = req.headers.authorization || '';
+    let identity;
+    try {
+      identity = verifyToken(/^Bearer\s+/i.test(header) ? header.replace(/^Bearer\s+/i, '') : null);
+    } catch (error) {
+      return res.status(401).json({ success: false, code: error.data.code, error: error.message });
+    }
+
+    const { attachmentId } = req.params;
+    const meta = /^[a-f0-9-]{36}$/.test(attachmentId) ? await attachments.getMeta(attachmentId) : null;
+    if (!meta || !(await canDownload(meta, identity.userId))) {
+      return res.status(404).json({ success: false, code: 'attachment_not_found', error: 'Attachment not found' });
+    }
+
+    // res.attachment() sets Content-Type from the file name's extension, so the stored type goes on after it
+    res.attachment(meta.name);
+    res.set('Content-Type', meta.mimeType);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.sendFile(path.resolve(attachments.filePath(attachmentId)));
+  }));
+
+  return router;
+}
+
+module.exports = new Attachments();
+module.exports.AttachmentError = AttachmentError;
+module.exports.CHUNK_BYTES = CHUNK_BYTES;
+module.exports.createAttachmentRouter = createAttachmentRouter;
@@ -0,0 +1,120 @@
+/**
+ * Socket handshake authentication
+ * Verifies the signed JWT issued by the backend and pins the socket to that identity
+ */
+
+const jwt = require('jsonwebtoken');
+const logger = require('./utils/logger');
+
+const VALID_ROLES = ['user', 'expert'];
+
+// Resolve verification key: shared secret (HS*) or PEM public key (RS*/ES*)
+function getVerificationOptions() {
+  const publicKey = process.env.JWT_PUBLIC_KEY
+    ? process.env.JWT_PUBLIC_KEY.replace(/\\n/g, '\n')
+    : null;
+  const secret = process.env.JWT_SECRET || null;
+  const key = publicKey || secret;
+
+  if (!key) {
+    return null;
+  }
+
+  const defaultAlgorithms = publicKey ? ['RS256', 'ES256'] : ['HS256'];
+  const algorithms = process.env.JWT_ALGORITHMS
+    ? process.env.JWT_ALGORITHMS.split(',').map(s => s.trim()).filter(Boolean)
+    : defaultAlgorithms;
+
+  const options = { algorithms };
+  if (process.env.JWT_ISSUER) options.issuer = process.env.JWT_ISSUER;
+  if (process.env.JWT_AUDIENCE) options.audience = process.env.JWT_AUDIENCE;
+
+  return { key, options };
+}
+
+// Pull the token from auth payload or Authorization header (in that order)
+// Query strings end up in proxy and access logs, so a ?token= is never read
+function extractToken(handshake) {
+  if (handshake.auth && typeof handshake.auth.token === 'string' && handshake.auth.token) {
+    return handshake.auth.token.replace(/^Bearer\s+/i, '');
+  }
+
+  const header = handshake.headers && handshake.headers.authorization;
+  if (typeof header === 'string' && /^Bearer\s+/i.test(header)) {
+    return header.replace(/^Bearer\s+/i, '');
+  }
+
+  return null;
+}
+
+// Map backend claims to { userId, userType }
+function identityFromClaims(claims) {
+  const userId = claims.sub || claims.userId || claims.id;
+  const userType = claims.role || claims.userType;
+
+  if (!userId || !VALID_ROLES.includes(userType)) {
+    return null;
+  }
+
+  return { userId: String(userId), userType };
+}
+
+// Errors passed to next() reach the client as `connect_error` with `err.data`
+function authError(code, message) {
+  const err = new Error(message);
+  err.data = { code, message };
+  return err;
+}
+
+// Verify a token and return { userId, userType }; throws an authError otherwise
+function verifyToken(token, verification = getVerificationOptions()) {
+  if (!verification) {
+    throw authError('auth_not_configured', 'Server authentication is not configured');
+  }
+  if (!token) {
+    throw authError('auth_token_missing', 'Authentication token is required');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, verification.key, verification.options);
+  } catch (error) {
+    const code = error.name === 'TokenExpiredError' ? 'auth_token_expired' : 'auth_token_invalid';
+    throw authError(code, code === 'auth_token_expired' ? 'Authentication token has expired' : 'Authentication token is invalid');
+  }
+
+  const identity = identityFromClaims(claims);
+  if (!identity) {
+    throw authError('auth_identity_invalid', 'Authentication token does not carry a valid user id and role');
+  }
+  return identity;
+}
+
+function createAuthMiddleware() {
+  const verification = getVerificationOptions();
+
+  if (!verification) {
+    logger.error('JWT_SECRET or JWT_PUBLIC_KEY is not set - all socket connections will be refused');
+  }
+
+  return (socket, next) => {
+    let identity;
+    try {
+      identity = verifyToken(extractToken(socket.handshake), verification);
+    } catch (error) {
+      logger.warn('Socket rejected: token verification failed', { socketId: socket.id, code: error.data.code, reason: error.message });
+      return next(error);
+    }
+
+    socket.data.userId = identity.userId;
+    socket.data.userType = identity.userType;
+    next();
+  };
+}
+
+module.exports = {
+  createAuthMiddleware,
+  extractToken,
+  identityFromClaims,
+  verifyToken
+};
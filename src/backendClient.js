@@ -0,0 +1,162 @@
+/**
+ * Backend API client
+ * One place for base URL, auth header, timeouts, retries and the circuit breaker
+ */
+
+const axios = require('axios');
+const logger = require('./utils/logger');
+const metrics = require('./metrics');
+
+// BACKEND_URL wins; API_BASE_URL is still honoured for older deployments
+const BACKEND_URL = process.env.BACKEND_URL || process.env.API_BASE_URL || 'https://api.abbaslogic.com';
+
+const REQUEST_TIMEOUT = parseInt(process.env.BACKEND_TIMEOUT_MS, 10) || 5000;
+const MAX_RETRIES = parseInt(process.env.BACKEND_MAX_RETRIES, 10) || 2;
+const RETRY_BASE_DELAY = 200;
+
+// Consecutive failures that open the breaker, and how long it stays open
+const BREAKER_THRESHOLD = parseInt(process.env.BACKEND_BREAKER_THRESHOLD, 10) || 5;
+const BREAKER_COOLDOWN = parseInt(process.env.BACKEND_BREAKER_COOLDOWN_MS, 10) || 30000;
+
+// Methods that are safe to repeat; other requests only retry with { retry: true }
+const IDEMPOTENT_METHODS = ['get', 'put', 'delete'];
+
+class BackendUnavailableError extends Error {
+  constructor(message = 'Backend is unavailable') {
+    super(message);
+    this.name = 'BackendUnavailableError';
+    this.code = 'backend_unavailable';
+  }
+}
+
+// Network errors, timeouts, 5xx and 429 are worth retrying and count against the breaker
+function isTransientError(error) {
+  if (!error.response) return true;
+  const status = error.response.status;
+  return status >= 500 || status === 429;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class BackendClient {
+  constructor() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.BACKEND_API_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.BACKEND_API_TOKEN}`;
+    }
+
+    this.http = axios.create({
+      baseURL: BACKEND_URL,
+      timeout: REQUEST_TIMEOUT,
+      headers
+    });
+
+    this.breaker = {
+      state: 'closed', // closed | open | half_open
+      failures: 0,
+      openedAt: null
+    };
+  }
+
+  get baseURL() {
+    return BACKEND_URL;
+  }
+
+  // Decide whether a request may go out; moves open -> half_open after the cooldown
+  _allowRequest() {
+    if (this.breaker.state !== 'open') {
+      return true;
+    }
+    if (Date.now() - this.breaker.openedAt >= BREAKER_COOLDOWN) {
+      this.breaker.state = 'half_open';
+      logger.info('Backend circuit half-open, sending trial request');
+      return true;
+    }
+    return false;
+  }
+
+  _recordSuccess() {
+    if (this.breaker.state !== 'closed') {
+      logger.info('Backend circuit closed');
+    }
+    this.breaker.state = 'closed';
+    this.breaker.failures = 0;
+    this.breaker.openedAt = null;
+  }
+
+  _recordFailure() {
+    this.breaker.failures++;
+    if (this.breaker.state === 'half_open' || this.breaker.failures >= BREAKER_THRESHOLD) {
+      if (this.breaker.state !== 'open') {
+        logger.error(`Backend circuit opened after ${this.breaker.failures} consecutive failures`);
+      }
+      this.breaker.state = 'open';
+      this.breaker.openedAt = Date.now();
+    }
+  }
+
+  // Send a request with retry/backoff and breaker accounting
+  // options.retry overrides the idempotency default for the method
+  async request(method, path, data, options = {}) {
+    const { retry, ...config } = options;
+    const retries = (retry !== undefined ? retry : IDEMPOTENT_METHODS.includes(method)) ? MAX_RETRIES : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      if (!this._allowRequest()) {
+        metrics.recordBackendError(method, path, 'circuit_open');
+        throw new BackendUnavailableError();
+      }
+
+      const startedAt = Date.now();
+      try {
+        const response = await this.http.request({ method, url: path, data, ...config });
+        metrics.observeBackendRequest(method, path, response.status, Date.now() - startedAt);
+        this._recordSuccess();
+        return response;
+      } catch (error) {
+        const status = error.response ? error.response.status : 'network_error';
+        metrics.observeBackendRequest(method, path, status, Date.now() - startedAt);
+        metrics.recordBackendError(method, path, error.response ? `http_${status}` : (error.code || 'network_error'));
+
+        if (!isTransientError(error)) {
+          // The backend answered; a 4xx says nothing about its health
+          this._recordSuccess();
+          throw error;
+        }
+
+        this._recordFailure();
+
+        if (attempt >= retries) {
+          throw this.breaker.state === 'open' ? new BackendUnavailableError(error.message) : error;
+        }
+
+        const delay = RETRY_BASE_DELAY * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_DELAY);
+        logger.warn(`Backend ${method.toUpperCase()} ${path} failed, retrying in ${delay}ms`, { attempt: attempt + 1, error: error.message });
+        await sleep(delay);
+      }
+    }
+  }
+
+  get(path, options) {
+    return this.request('get', path, undefined, options);
+  }
+
+  put(path, data = {}, options) {
+    return this.request('put', path, data, options);
+  }
+
+  post(path, data = {}, options) {
+    return this.request('post', path, data, options);
+  }
+
+  getState() {
+    return {
+      baseURL: BACKEND_URL,
+      circuit: this.breaker.state,
+      consecutiveFailures: this.breaker.failures
+    };
+  }
+}
+
+module.exports = new BackendClient();
+module.exports.BackendUnavailableError = BackendUnavailableError;
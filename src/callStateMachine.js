@@ -0,0 +1,78 @@
+/**
+ * Call state machine
+ * Single place that decides which call status changes are legal
+ *
+ *   ringing -> accepted -> connected -> ended
+ *   ringing -> rejected | missed | cancelled | failed
+ *   accepted/connected <-> reconnecting (participant dropped, waiting for call:rejoin)
+ */
+
+const CALL_STATES = {
+  RINGING: 'ringing',
+  ACCEPTED: 'accepted',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  ENDED: 'ended',
+  MISSED: 'missed',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+const TRANSITIONS = {
+  ringing: ['accepted', 'rejected', 'missed', 'cancelled', 'failed'],
+  accepted: ['connected', 'reconnecting', 'ended', 'cancelled', 'failed'],
+  connected: ['reconnecting', 'ended', 'failed'],
+  reconnecting: ['accepted', 'connected', 'ended', 'failed'],
+  ended: [],
+  missed: [],
+  rejected: [],
+  cancelled: [],
+  failed: []
+};
+
+const TERMINAL_STATES = Object.keys(TRANSITIONS).filter(state => TRANSITIONS[state].length === 0);
+
+function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+}
+
+function isTerminal(status) {
+  return TERMINAL_STATES.includes(status);
+}
+
+// Apply a transition to a call object in place
+// Returns { ok: true, call } or { ok: false, code, error } without touching the call
+function transition(call, to, meta = {}) {
+  const from = call.status;
+
+  if (!canTransition(from, to)) {
+    return {
+      ok: false,
+      code: 'invalid_transition',
+      error: `Call cannot go from ${from} to ${to}`
+    };
+  }
+
+  const at = Date.now();
+  call.status = to;
+  call.history = call.history || [];
+  call.history.push({ from, to, at, ...meta });
+
+  if (to === CALL_STATES.CONNECTED && !call.startTime) {
+    call.startTime = at;
+  }
+  if (isTerminal(to)) {
+    call.endedAt = at;
+  }
+
+  return { ok: true, call };
+}
+
+module.exports = {
+  CALL_STATES,
+  TRANSITIONS,
+  canTransition,
+  isTerminal,
+  transition
+};
@@ -3,70 +3,280 @@
  * IMPORTANT: Socket server is a RELAY ONLY - Backend is source of truth
  */
 
+const crypto = require('crypto');
 const rooms = require('./rooms');
+const attachments = require('./attachments');
 const logger = require('./utils/logger');
-const axios = require('axios');
+const backend = require('./backendClient');
+const outbox = require('./outbox');
+const metrics = require('./metrics');
+const webhooks = require('./webhooks');
+const scheduler = require('./scheduler');
+const { canTransition, transition } = require('./callStateMachine');
+const { refusalFor } = require('./presence');
+const { errorAck } = require('./validation');
+const { AttachmentError } = require('./attachments');
 
 // Call timeout duration (60 seconds)
 const CALL_TIMEOUT = 60000;
 
-// Backend API URL
-const BACKEND_URL = process.env.BACKEND_URL || 'https://api.abbaslogic.com';
+// How long a dropped participant has to rejoin an in-progress call (default 30 seconds)
+const RECONNECT_GRACE_PERIOD = parseInt(process.env.CALL_RECONNECT_GRACE_MS, 10) || 30000;
+
+// Calls that survive a disconnect for the grace window; ringing calls end immediately
+const RECONNECTABLE_STATUSES = ['accepted', 'connected'];
+
+// Per-side heartbeat loss thresholds before a connected call is auto-cut (default 15 seconds)
+const HEARTBEAT_TIMEOUTS = {
+  user: parseInt(process.env.CALL_HEARTBEAT_TIMEOUT_USER_MS, 10) || 15000,
+  expert: parseInt(process.env.CALL_HEARTBEAT_TIMEOUT_EXPERT_MS, 10) || 15000
+};
+
+// Silence after which both parties are warned that a cut is coming (default 8 seconds)
+const HEARTBEAT_WARNING_AFTER = parseInt(process.env.CALL_HEARTBEAT_WARNING_MS, 10) || 8000;
+
+// Experts with no activity for this long go to away (0 disables)
+const EXPERT_AWAY_AFTER = process.env.EXPERT_AWAY_AFTER_MS !== undefined
+  ? parseInt(process.env.EXPERT_AWAY_AFTER_MS, 10) || 0
+  : 10 * 60 * 1000;
+
+// Activity is written to the store at most this often per socket
+const ACTIVITY_WRITE_INTERVAL = 15000;
+
+// A page refresh drops and re-adds the socket; only report offline if they stay gone
+const OFFLINE_BROADCAST_DELAY = 5000;
+
+// Experts one socket may watch with presence:subscribe
+const PRESENCE_MAX_SUBSCRIPTIONS = parseInt(process.env.PRESENCE_MAX_SUBSCRIPTIONS, 10) || 200;
+
+// Call queue: callers who opt in wait for a busy expert instead of being turned away
+const QUEUE_MAX_LENGTH = parseInt(process.env.CALL_QUEUE_MAX_LENGTH, 10) || 5;
+const QUEUE_MAX_WAIT = parseInt(process.env.CALL_QUEUE_MAX_WAIT_MS, 10) || 5 * 60 * 1000;
+
+// Longest one instance holds an expert's queue ring claim before another may take over
+const QUEUE_RING_CLAIM_TTL = 30 * 1000;
+
+// Chat messages for offline recipients are held until they register and ack them
+const OFFLINE_MESSAGE_TTL = parseInt(process.env.CHAT_OFFLINE_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+const OFFLINE_MAX_MESSAGES = parseInt(process.env.CHAT_OFFLINE_MAX_MESSAGES, 10) || 200;
+const OFFLINE_MAX_BYTES = parseInt(process.env.CHAT_OFFLINE_MAX_BYTES, 10) || 512 * 1024;
+
+// Messages kept per chat for history sync on chat:join, and how many a join returns by default
+// Like the offline queue, each chat's history is also bounded in age and bytes
+const CHAT_HISTORY_SIZE = parseInt(process.env.CHAT_HISTORY_SIZE, 10) || 200;
+const CHAT_HISTORY_PAGE = parseInt(process.env.CHAT_HISTORY_PAGE, 10) || 50;
+const CHAT_HISTORY_TTL = parseInt(process.env.CHAT_HISTORY_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+const CHAT_HISTORY_MAX_BYTES = parseInt(process.env.CHAT_HISTORY_MAX_BYTES, 10) || 512 * 1024;
+
+// How long the server remembers a message for delivered/read receipts
+const MESSAGE_RECEIPT_TTL = parseInt(process.env.CHAT_RECEIPT_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+
+// Conference calls: caller and expert plus invited guests (mesh, so keep it small)
+const CALL_MAX_PARTICIPANTS = parseInt(process.env.CALL_MAX_PARTICIPANTS, 10) || 4;
+
+// How long a conference invite rings before it counts as declined (default 30 seconds)
+const INVITE_TIMEOUT = parseInt(process.env.CALL_INVITE_TIMEOUT_MS, 10) || 30000;
+
+// How long a transfer rings the target expert before it fails (default 30 seconds)
+const TRANSFER_TIMEOUT = parseInt(process.env.CALL_TRANSFER_TIMEOUT_MS, 10) || 30000;
+
+// Tell the backend to pause billing while a call is on hold (off by default)
+const HOLD_PAUSES_BILLING = process.env.CALL_HOLD_PAUSES_BILLING === 'true';
+
+// Logger bound to the call and the socket that sent the event
+function callLogger(socket, callId) {
+  return logger.child({ callId, socketId: socket.id, userId: socket.data && socket.data.userId });
+}
+
+// Sockets that joined a conversation with chat:join
+function chatRoom(chatId) {
+  return `chat:${chatId}`;
+}
+
+// Sockets watching an expert's presence join this room
+function presenceRoom(expertId) {
+  return `presence:${expertId}`;
+}
+
+// One expert's presence as sent to clients
+function presenceEntry(expertId, presence) {
+  return {
+    expertId,
+    presence,
+    isOnline: presence !== 'offline',
+    isBusy: presence === 'busy'
+  };
+}
+
+// Everyone on a call as sent to clients: caller, expert, then guests in invite order
+// Socket ids stay on the server
+function callRoster(call) {
+  const roster = [
+    { userId: call.userId, userType: 'user', role: 'caller', status: 'joined' },
+    { userId: call.expertId, userType: 'expert', role: 'expert', status: call.expertSocketId ? 'joined' : 'invited' }
+  ];
+  for (const guest of Object.values(call.participants || {})) {
+    roster.push({
+      userId: guest.userId,
+      userType: guest.userType,
+      role: 'guest',
+      status: guest.status,
+      invitedBy: guest.invitedBy,
+      joinedAt: guest.joinedAt || null
+    });
+  }
+  return roster;
+}
+
+// Guests counted against CALL_MAX_PARTICIPANTS (invited or in the call)
+function activeGuests(call) {
+  return Object.values(call.participants || {}).filter(guest => ['invited', 'joined'].includes(guest.status));
+}
+
+// Why this call cannot take another invite right now, as an error ack, or null if it can
+function inviteRefusal(call, inviteeId) {
+  if (!['accepted', 'connected', 'reconnecting'].includes(call.status)) {
+    return errorAck('invalid_transition', `Cannot invite while the call is ${call.status}`);
+  }
+  const existing = (call.participants || {})[inviteeId];
+  if (inviteeId === call.userId || inviteeId === call.expertId || (existing && ['invited', 'joined'].includes(existing.status))) {
+    return errorAck('already_participant', 'Already invited to or in this call');
+  }
+  if (2 + activeGuests(call).length >= CALL_MAX_PARTICIPANTS) {
+    return errorAck('call_full', `A call can have at most ${CALL_MAX_PARTICIPANTS} participants`, { max: CALL_MAX_PARTICIPANTS });
+  }
+  return null;
+}
+
+// Why this socket cannot join the call as a guest, as an error ack, or null if it can
+function joinRefusal(call, userId, socketId) {
+  const guest = (call.participants || {})[userId];
+  if (!guest || !['invited', 'joined', 'left'].includes(guest.status)) {
+    return errorAck('not_invited', 'Not invited to this call');
+  }
+  if (guest.status === 'joined' && guest.socketId !== socketId) {
+    return errorAck('answered_elsewhere', 'Already in this call on another device');
+  }
+  if (guest.status === 'left' && 2 + activeGuests(call).length >= CALL_MAX_PARTICIPANTS) {
+    return errorAck('call_full', `A call can have at most ${CALL_MAX_PARTICIPANTS} participants`, { max: CALL_MAX_PARTICIPANTS });
+  }
+  return null;
+}
+
+// Why this call cannot start a transfer to targetExpertId, as an error ack, or null if it can
+function transferRefusal(call, targetExpertId, mode) {
+  if (call.status !== 'connected') {
+    return errorAck('invalid_transition', `Call cannot be transferred while ${call.status}`);
+  }
+  if (call.transfer) {
+    return errorAck('transfer_pending', 'A transfer is already ringing for this call');
+  }
+  const guest = (call.participants || {})[targetExpertId];
+  if (targetExpertId === call.expertId || (guest && ['invited', 'joined'].includes(guest.status))) {
+    return errorAck('already_participant', 'Target expert is already in this call');
+  }
+  // Warm transfers keep the original expert on as an extra participant
+  if (mode === 'warm' && 2 + activeGuests(call).length >= CALL_MAX_PARTICIPANTS) {
+    return errorAck('call_full', `A call can have at most ${CALL_MAX_PARTICIPANTS} participants`, { max: CALL_MAX_PARTICIPANTS });
+  }
+  return null;
+}
+
+// A chat's kept messages without expired ones and within the count and byte caps, oldest dropped first
+function trimChatHistory(messages, now) {
+  const live = messages
+    .filter(message => now - Date.parse(message.timestamp) < CHAT_HISTORY_TTL)
+    .slice(-CHAT_HISTORY_SIZE);
+  let bytes = live.reduce((sum, message) => sum + Buffer.byteLength(JSON.stringify(message)), 0);
+  while (live.length > 1 && bytes > CHAT_HISTORY_MAX_BYTES) {
+    bytes -= Buffer.byteLength(JSON.stringify(live.shift()));
+  }
+  return live;
+}
+
+// Common webhook payload for call lifecycle events
+function callWebhookData(call, extra = {}) {
+  return {
+    callId: call.callId,
+    userId: call.userId,
+    expertId: call.expertId,
+    status: call.status,
+    createdAt: call.createdAt,
+    startTime: call.startTime,
+    endedAt: call.endedAt || null,
+    ...extra
+  };
+}
+
+// Ack for a failed backend request; an open circuit is reported as backend_unavailable
+function backendErrorAck(error, message) {
+  if (error.code === 'backend_unavailable') {
+    return errorAck('backend_unavailable', 'Service is temporarily unavailable. Please try again shortly.');
+  }
+  return errorAck('backend_error', message);
+}
 
 class EventHandler {
   constructor(io) {
     this.io = io;
     this.callTimeouts = new Map();
+    this.reconnectTimers = new Map();
+    this.transferTimers = new Map(); // callId -> transfer ring timeout
+    this.inviteTimers = new Map(); // callId:inviteeId -> invite ring timeout
+    this.activityWrites = new Map(); // socketId -> last activity write
   }
 
   // Handle user/expert registration
-  async handleRegister(socket, data) {
-    const { userId, userType } = data;
+  // Identity comes from the verified handshake token, never from the payload
+  async handleRegister(socket, data = {}) {
+    const { userId, userType } = socket.data;
 
     if (!userId || !userType) {
-      logger.error('Invalid registration data', data);
+      logger.error('Register on unauthenticated socket', { socketId: socket.id });
+      socket.emit('registered', errorAck('not_authenticated', 'Socket is not authenticated'));
       return;
     }
 
-    // Validate userType
-    if (userType !== 'user' && userType !== 'expert') {
-      logger.error('Invalid userType', { userType });
+    // Older clients still send { userId, userType }; they must match the token
+    const claimedUserId = data && data.userId;
+    const claimedUserType = data && data.userType;
+    if ((claimedUserId && String(claimedUserId) !== userId) || (claimedUserType && claimedUserType !== userType)) {
+      logger.warn('Register payload does not match token identity', {
+        socketId: socket.id,
+        userId,
+        userType,
+        claimedUserId,
+        claimedUserType
+      });
+      socket.emit('registered', errorAck('identity_mismatch', 'Registration does not match authenticated identity'));
       return;
     }
 
+    let presence;
     if (userType === 'expert') {
-      // IMPORTANT: Expert online/offline is controlled ONLY by the expert toggle (DB source of truth).
-      // On register we only attach the socket to the expert, but we do NOT change DB isOnline.
-      rooms.userSockets.set(userId, socket.id);
-      rooms.socketToUser.set(socket.id, { userId, userType: 'expert' });
-      rooms.expertSockets.set(userId, socket.id);
-      
+      // Availability for calls is the expert's presence (see presence.js), not the DB flags:
+      // connected + chosen state + active calls. expert:set_presence changes the chosen state.
+      await rooms.registerExpert(userId, socket.id);
+
       // JOIN EXPERT ROOM: Socket joins a room with their expert ID
       socket.join(userId);
       logger.info(`🎬 Expert joined room: ${userId}`);
 
       logger.info(`🔵 Expert socket registered: expertId=${userId}, socketId=${socket.id}`);
-      logger.info(`🔵 Expert sockets map size: ${rooms.expertSockets.size}`);
-      logger.info(`🔵 All registered experts:`, Array.from(rooms.expertSockets.keys()));
 
-      // IMPORTANT: If expert is connected to socket server, they should be considered online
-      // Socket connection is the source of truth for availability, not database
-      // Database status is only used for UI display (expert toggle), not call routing
-      rooms.onlineExperts.add(userId);
-
-      // Inform clients of current DB status so UI doesn't drift
+      // Clear a stale DB busy flag left behind by a call that ended while nobody was connected
       try {
-        const statusRes = await axios.get(`${BACKEND_URL}/api/experts/status/${userId}`);
+        const statusRes = await backend.get(`/api/experts/status/${userId}`);
         const dbIsOnline = !!statusRes.data?.isOnline;
         let isBusy = !!statusRes.data?.isBusy;
 
         // If expert is marked busy but has no active calls, clear the busy status
         if (isBusy) {
-          const activeCalls = rooms.getExpertActiveCalls(userId);
+          const activeCalls = await rooms.getExpertActiveCalls(userId);
           if (activeCalls.length === 0) {
             // No active calls, clear busy status in DB
             try {
-              await axios.put(`${BACKEND_URL}/api/experts/set-online-internal/${userId}`, { isOnline: dbIsOnline, isBusy: false });
+              await backend.put(`/api/experts/set-online-internal/${userId}`, { isOnline: dbIsOnline, isBusy: false });
               isBusy = false;
               logger.info(`Cleared stale busy status for expert ${userId}`);
             } catch (updateError) {
@@ -75,157 +285,173 @@ class EventHandler {
           }
         }
 
-        // IMPORTANT: Do NOT remove from onlineExperts based on DB status
-        // Socket connection is the primary indicator of availability
-        // DB status is only for UI display (expert's online/offline toggle)
-        // This ensures experts can receive calls regardless of their DB toggle state
-
-        this.io.emit('expert_status_changed', { expertId: userId, isOnline: dbIsOnline });
-        this.io.emit('expert_busy_changed', { expertId: userId, isBusy });
-
         logger.info(`✅ Expert registered (socketConnected=true, dbOnline=${dbIsOnline}, dbBusy=${isBusy}): ${userId}`);
       } catch (error) {
         logger.error(`Failed to read expert DB status for ${userId}:`, error.message);
         // Even if DB check fails, expert is connected to socket so they're available
         logger.info(`Expert registered (socketConnected=true, dbOnline=unknown): ${userId}`);
       }
+
+      // Connecting counts as activity and brings an auto-away expert back
+      await this.recordExpertActivity(socket, true);
+      presence = await this.broadcastPresence(userId, 'registered');
+
+      // Show the expert who is waiting, and ring the first caller if the expert was away
+      const queue = await rooms.getQueue(userId);
+      socket.emit('queue:updated', { expertId: userId, length: queue.length });
+      await this.ringNextQueued(userId);
     } else {
-      rooms.registerUser(userId, socket.id);
+      await rooms.registerUser(userId, socket.id);
       // JOIN USER ROOM
       socket.join(userId);
       logger.info(`🎬 User joined room: ${userId}`);
       logger.info(`User registered: ${userId}`);
     }
 
-    socket.emit('registered', { success: true, userId, userType });
+    socket.emit('registered', presence ? { success: true, userId, userType, presence } : { success: true, userId, userType });
+
+    await this.deliverOfflineMessages(socket, userId);
   }
 
   // Handle call request from user
   // NOTE: Backend already validated and created call record
-  async handleCallRequest(socket, data, callback) {
-    logger.info('📞 Call request received - RAW DATA:', JSON.stringify(data, null, 2));
-
-    // userId may be missing from some clients; derive from registration map as a safe fallback
-    const socketUser = rooms.socketToUser.get(socket.id);
-    const derivedUserId = socketUser?.userType === 'user' ? socketUser.userId : undefined;
+  // options.fromQueue: a queued caller's turn; options.scheduled: an appointment's start time (see startAppointment)
+  // Neither can be supplied by clients
+  async handleCallRequest(socket, data, callback, options = {}) {
+    // Caller is always the authenticated socket owner; a payload userId is only checked, never trusted
     const { callId, expertId } = data;
-    const userId = data.userId || derivedUserId;
+    const userId = socket.data.userType === 'user' ? socket.data.userId : undefined;
+    const log = callLogger(socket, callId);
+
+    log.info('📞 Call request received', { callId, userId, expertId });
 
-    logger.info('📞 Call request parsed', { callId, userId, expertId });
+    if (data.userId && userId && String(data.userId) !== userId) {
+      log.warn('❌ Call request userId does not match authenticated user', { callId, userId, claimedUserId: data.userId });
+      if (callback) callback(errorAck('identity_mismatch', 'Call request does not match authenticated user'));
+      return;
+    }
 
     if (!callId || !userId || !expertId) {
-      logger.error('❌ Invalid call request data - MISSING FIELDS:', {
+      log.error('❌ Invalid call request data - MISSING FIELDS:', {
         hasCallId: !!callId,
         hasUserId: !!userId,
         hasExpertId: !!expertId,
         rawData: data
       });
-      if (callback) callback({ success: false, error: 'Invalid call data' });
+      if (callback) callback(errorAck('invalid_payload', 'Invalid call data'));
       return;
     }
 
     // Check expert status in database (for sync purposes)
+    // Its isBusy flag only mirrors what this server writes, so busy is decided from presence and the call store below
     let isExpertOnlineInDb = false;
-    let isExpertBusyInDb = false;
     let isExpertConnected = false;
     
     try {
-      const response = await axios.get(`${BACKEND_URL}/api/experts/status/${expertId}`);
+      const response = await backend.get(`/api/experts/status/${expertId}`);
       isExpertOnlineInDb = response.data?.isOnline || false;
-      isExpertBusyInDb = response.data?.isBusy || false;
-      logger.info('🔍 Expert DB online check', { expertId, isOnline: isExpertOnlineInDb, isBusy: isExpertBusyInDb });
+      log.info('🔍 Expert DB online check', { expertId, isOnline: isExpertOnlineInDb, dbBusy: response.data?.isBusy || false });
     } catch (error) {
-      logger.error(`Failed to check expert DB status for ${expertId}:`, error.message);
+      log.error(`Failed to check expert DB status for ${expertId}:`, error.message);
       // If DB check fails, we'll rely on socket connection only
       isExpertOnlineInDb = false;
     }
 
     // Check socket connection status (PRIMARY check - actual connection matters most)
-    isExpertConnected = rooms.isExpertOnline(expertId);
-    logger.info('🔍 Expert connection check', {
+    isExpertConnected = await rooms.isExpertOnline(expertId);
+    log.info('🔍 Expert connection check', {
       expertId,
       dbOnline: isExpertOnlineInDb,
-      socketConnected: isExpertConnected,
-      onlineExperts: Array.from(rooms.onlineExperts),
-      expertSockets: Array.from(rooms.expertSockets.keys())
+      socketConnected: isExpertConnected
     });
 
     // Expert is considered available if they have an ACTIVE socket connection
     // Database status is secondary and can sync in background
     // This prevents calls failing due to temporary DB sync issues
     if (!isExpertConnected) {
-      logger.warn('❌ Expert not connected to socket server', { 
+      log.warn('❌ Expert not connected to socket server', { 
         expertId, 
         dbOnline: isExpertOnlineInDb,
         socketConnected: isExpertConnected 
       });
-      if (callback) callback({ success: false, error: 'Expert is currently offline. Please try again later.' });
+      if (callback) callback(errorAck('expert_offline', 'Expert is currently offline. Please try again later.'));
       return;
     }
 
-    if (isExpertBusyInDb) {
-      logger.warn('❌ Expert busy in database', { expertId });
-      if (callback) callback({ success: false, error: 'Expert is currently on another call. Please try again later.' });
+    // Away, do-not-disturb and appearing offline refuse calls; busy is handled below so callers can queue
+    // An expert who booked an appointment is rung for it even when away or on do-not-disturb
+    const presence = await rooms.getExpertPresence(expertId);
+    const refusal = presence !== 'busy' && !options.scheduled ? refusalFor(presence) : null;
+    if (refusal) {
+      log.warn('❌ Expert not taking calls', { expertId, presence });
+      if (callback) callback(errorAck(refusal.code, refusal.message, { presence }));
       return;
     }
 
     // Check if expert is already in an active call
-    const isExpertBusy = rooms.isExpertBusy(expertId);
-    const expertActiveCalls = rooms.getExpertActiveCalls(expertId);
-    logger.info('🔍 Expert busy check', {
+    const isExpertBusy = await rooms.isExpertBusy(expertId);
+    const expertActiveCalls = await rooms.getExpertActiveCalls(expertId);
+    log.info('🔍 Expert busy check', {
       expertId,
       isExpertBusy,
-      activeCalls: expertActiveCalls,
-      totalActiveCalls: rooms.activeCalls.size
+      activeCalls: expertActiveCalls
     });
 
     if (isExpertBusy) {
-      logger.warn('❌ Expert is busy in another call', { expertId, activeCalls: expertActiveCalls });
-      if (callback) callback({ success: false, error: 'Expert is currently on another call. Please try again later.' });
+      log.warn('❌ Expert is busy in another call', { expertId, activeCalls: expertActiveCalls });
+      await this.queueOrRejectBusy(socket, data, callback);
+      return;
+    }
+
+    // New callers do not jump ahead of people already waiting
+    // Appointments were booked ahead, so they go before the queue
+    if (!options.fromQueue && !options.scheduled && (await rooms.getQueue(expertId)).length > 0) {
+      log.info('Expert has waiting callers', { expertId });
+      await this.queueOrRejectBusy(socket, data, callback);
       return;
     }
 
-    const expertSocketId = rooms.getExpertSocket(expertId);
+    // Expert may be connected from several devices; all of them ring until one accepts
+    const expertSocketIds = await rooms.getExpertSockets(expertId);
     const userSocketId = socket.id;
 
-    logger.info('🔍 Socket IDs', { expertId, expertSocketId, userSocketId });
+    log.info('🔍 Socket IDs', { expertId, expertSocketIds, userSocketId });
 
-    if (!expertSocketId) {
+    if (expertSocketIds.length === 0) {
       // Expert socket not found - they may be temporarily disconnected or refreshing
-      logger.warn('⚠️ Expert socket not found', { expertId, isOnline: isExpertOnline, isConnected: isExpertConnected });
+      log.warn('⚠️ Expert socket not found', { expertId, isOnline: isExpertOnlineInDb, isConnected: isExpertConnected });
 
       // If expert is online in DB but not connected, wait a moment for them to reconnect
       // Otherwise, fail the call
       if (!isExpertOnlineInDb) {
-        logger.error('❌ Expert socket not found and not online in DB', { expertId });
-        if (callback) callback({ success: false, error: 'Expert is currently unavailable. Please try again later.' });
+        log.error('❌ Expert socket not found and not online in DB', { expertId });
+        if (callback) callback(errorAck('expert_unavailable', 'Expert is currently unavailable. Please try again later.'));
         return;
       }
 
       // Expert is online in DB but temporarily disconnected - create call and wait for reconnection
-      logger.info('⏳ Expert online in DB but socket disconnected - creating call anyway', { expertId });
+      log.info('⏳ Expert online in DB but socket disconnected - creating call anyway', { expertId });
       try {
-        await axios.put(`${BACKEND_URL}/api/calls/ringing/${callId}`, {}, {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
-        logger.callEvent('call_set_ringing_disconnected_expert', { callId, expertId });
+        await backend.put(`/api/calls/ringing/${callId}`, {});
+        log.callEvent('call_set_ringing_disconnected_expert', { callId, expertId });
+        webhooks.emit('call.ringing', { callId, userId, expertId, status: 'ringing', expertConnected: false });
 
         // Set a timeout for the call (30 seconds for disconnected expert)
         const timeout = setTimeout(() => {
-          this.handleCallTimeout(callId);
+          this.handleCallTimeout(callId).catch(error => {
+            log.error('Call timeout handling failed', { callId, error: error.message });
+          });
         }, 15000); // 15 seconds instead of 30
 
         this.callTimeouts.set(callId, timeout);
 
         if (callback) callback({ success: true, callId, note: 'Expert temporarily disconnected - call will connect when they return' });
-        logger.callEvent('✅ call_request_sent_disconnected_expert', { callId, userId, expertId });
+        log.callEvent('call_request_sent_disconnected_expert', { callId, userId, expertId });
         return;
 
       } catch (backendError) {
-        logger.error('Failed to set call ringing for disconnected expert', backendError);
-        if (callback) callback({ success: false, error: 'Backend error' });
+        log.error('Failed to set call ringing for disconnected expert', backendError);
+        if (callback) callback(backendErrorAck(backendError, 'Backend error'));
         return;
       }
     }
@@ -233,493 +459,2015 @@ class EventHandler {
     // Fetch caller info for immediate display BEFORE creating call
     let callerInfo = null;
     try {
-      const response = await axios.get(`${BACKEND_URL}/api/users/${userId}`, {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await backend.get(`/api/users/${userId}`);
       callerInfo = {
         name: response.data.name,
         avatar: response.data.avatar
       };
-      logger.info('📋 Fetched caller info', { userId, name: callerInfo.name });
+      log.info('📋 Fetched caller info', { userId, name: callerInfo.name });
     } catch (error) {
-      logger.warn('Failed to fetch caller info', { userId, error: error.message });
+      log.warn('Failed to fetch caller info', { userId, error: error.message });
       callerInfo = { name: 'Unknown Caller', avatar: null };
     }
 
     // Create call session in socket rooms with callerInfo
-    const call = rooms.createCall(callId, userId, expertId, userSocketId, expertSocketId, callerInfo);
+    // expertSocketId stays null until one of the expert's devices claims the call on accept
+    const extra = options.scheduled ? { appointmentId: options.scheduled.appointmentId } : {};
+    const call = await rooms.createCall(callId, userId, expertId, userSocketId, null, callerInfo, extra);
 
     // Update backend: set expert busy and call status to RINGING
     try {
-      await axios.put(`${BACKEND_URL}/api/calls/ringing/${callId}`, {}, {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      logger.callEvent('call_set_ringing', { callId });
+      await backend.put(`/api/calls/ringing/${callId}`, {});
+      log.callEvent('call_set_ringing', { callId });
     } catch (backendError) {
-      logger.error('Failed to set call ringing in backend', backendError);
+      log.error('Failed to set call ringing in backend', backendError);
 
-      // Cleanup on failure: remove from rooms and mark call as failed
-      rooms.endCall(callId);
+      // Cleanup on failure: mark call as failed and remove from rooms
+      await rooms.transitionCall(callId, 'failed', { reason: 'backend_ringing_failed' });
+      await rooms.endCall(callId);
 
       // Notify user of failure
       if (callback) {
         const errorMsg = backendError.response?.data?.message || 'Failed to initiate call. Please try again.';
-        callback({ success: false, error: errorMsg });
+        callback(backendErrorAck(backendError, errorMsg));
       }
 
       return;
     }
 
     // Send incoming call notification to expert
-    logger.info('📤📤📤 SENDING INCOMING_CALL TO EXPERT', { 
+    log.info('📤📤📤 SENDING INCOMING_CALL TO EXPERT', { 
       expertId, 
-      expertSocketId, 
+      expertSocketIds, 
       callId, 
       userId,
       callerName: callerInfo?.name 
     });
     
-    // Verify expert socket exists
-    const expertSocket = this.io.sockets.sockets.get(expertSocketId);
-    if (!expertSocket) {
-      logger.error('❌ Expert socket not found in io.sockets.sockets!', { expertSocketId });
-    } else {
-      logger.info('✅ Expert socket found, connected:', expertSocket.connected);
-    }
-    
     const incomingCallPayload = {
       callId,
       userId,
       expertId,
       caller: callerInfo
     };
+    if (options.scheduled) {
+      incomingCallPayload.appointmentId = options.scheduled.appointmentId;
+    }
     
-    logger.info('📤 Incoming call payload:', JSON.stringify(incomingCallPayload, null, 2));
-    
-    // Send to specific expert socket
-    this.io.to(expertSocketId).emit('incoming_call', incomingCallPayload);
-    
-    // Also emit to expert's user ID room as backup
+    // Ring every device: each expert socket joins the expert's ID room on register
     this.io.to(expertId).emit('incoming_call', incomingCallPayload);
     
-    logger.info('✅ incoming_call event emitted to expert');
+    log.info('✅ incoming_call event emitted to expert', { devices: expertSocketIds.length });
+    webhooks.emit('call.ringing', callWebhookData(call, { expertConnected: true, devices: expertSocketIds.length }));
 
     // Notify all clients that expert is now busy
-    this.io.emit('expert_busy_changed', {
-      expertId,
-      isBusy: true
-    });
+    await this.broadcastPresence(expertId, 'call_ringing');
 
     // Set timeout for call (30 seconds)
-    const timeout = setTimeout(() => {
-      const activeCall = rooms.getCall(callId);
-      if (activeCall && activeCall.status === 'ringing') {
-        // Call timed out - notify backend
-        this.handleCallTimeout(callId);
+    const timeout = setTimeout(async () => {
+      try {
+        const activeCall = await rooms.getCall(callId);
+        if (activeCall && activeCall.status === 'ringing') {
+          // Call timed out - notify backend
+          await this.handleCallTimeout(callId);
+        }
+      } catch (error) {
+        log.error('Call timeout handling failed', { callId, error: error.message });
       }
     }, CALL_TIMEOUT);
 
     this.callTimeouts.set(callId, timeout);
 
     if (callback) callback({ success: true, callId });
-    logger.callEvent('✅ call_request_sent', { callId, userId, expertId });
+    log.callEvent('call_request_sent', { callId, userId, expertId });
   }
 
-  // Handle call timeout
-  async handleCallTimeout(callId) {
-    try {
-      const call = rooms.getCall(callId);
-      if (!call) return;
+  // --- EXPERT PRESENCE ---
 
-      // Notify backend about timeout - mark call as MISSED
-      try {
-        await axios.put(`${BACKEND_URL}/api/calls/status/${callId}`, {
-          status: 'missed'
-        }, {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
-        logger.callEvent('call_marked_missed', { callId });
-      } catch (backendError) {
-        logger.error('Failed to mark call as missed in backend', backendError);
-      }
+  // Expert picks available / away / do_not_disturb / offline
+  async handleSetPresence(socket, data, callback) {
+    const { userId, userType } = socket.data;
+    if (userType !== 'expert') {
+      callback(errorAck('not_expert', 'Only experts have a presence'));
+      return;
+    }
 
-      // Notify user
-      this.io.to(call.userSocketId).emit('call_timeout', { callId });
+    const now = Date.now();
+    await rooms.savePresenceRecord(userId, {
+      state: data.presence,
+      auto: false,
+      since: now,
+      lastActivityAt: now
+    });
 
-      // Notify all clients that expert is no longer busy
-      this.io.emit('expert_busy_changed', {
-        expertId: call.expertId,
-        isBusy: false
-      });
+    // Keep the DB toggle in step for pages that read it from the backend
+    backend.put(`/api/experts/set-online-internal/${userId}`, { isOnline: data.presence !== 'offline' })
+      .catch(error => logger.error(`Failed to sync presence for ${userId} to backend:`, error.message));
 
-      // Clean up
-      rooms.endCall(callId);
-      this.callTimeouts.delete(callId);
+    const presence = await this.broadcastPresence(userId, 'set_by_expert');
+    callback({ success: true, presence });
+    logger.info(`Expert presence set: ${userId}`, { chosen: data.presence, presence });
 
-      logger.callEvent('call_timeout', { callId });
-    } catch (error) {
-      logger.error('Handle call timeout error', error);
-    }
+    await this.ringNextQueued(userId);
   }
 
-  // Handle expert accepting call
-  // NOTE: Backend will handle state transition
-  handleAcceptCall(socket, data, callback) {
-    const { callId } = data;
+  // Any event from an expert counts as activity and brings an auto-away expert back
+  // Store writes are throttled per socket unless force is set
+  async recordExpertActivity(socket, force = false) {
+    const { userId, userType } = socket.data || {};
+    if (userType !== 'expert') return;
 
-    const call = rooms.getCall(callId);
-    if (!call) {
-      logger.error('Call not found', { callId });
-      callback({ success: false, error: 'Call not found' });
+    const now = Date.now();
+    if (!force && now - (this.activityWrites.get(socket.id) || 0) < ACTIVITY_WRITE_INTERVAL) {
       return;
     }
+    this.activityWrites.set(socket.id, now);
 
-    // Clear timeout
-    if (this.callTimeouts.has(callId)) {
-      clearTimeout(this.callTimeouts.get(callId));
-      this.callTimeouts.delete(callId);
+    const record = (await rooms.getPresenceRecord(userId)) || { state: 'available', auto: false, since: now };
+    const wasAutoAway = record.state === 'away' && record.auto;
+    if (wasAutoAway) {
+      Object.assign(record, { state: 'available', auto: false, since: now });
     }
+    record.lastActivityAt = now;
+    await rooms.savePresenceRecord(userId, record);
 
-    // Update socket room status
-    rooms.updateCallStatus(callId, 'accepted');
-
-    // Notify user that call was accepted
-    this.io.to(call.userSocketId).emit('call_accepted', {
-      callId,
-      userId: call.userId,
-      expertId: call.expertId,
-      callerInfo: call.callerInfo
-    });
-
-    callback({ success: true });
-    logger.callEvent('call_accepted', { callId });
+    if (wasAutoAway) {
+      await this.broadcastPresence(userId, 'activity');
+      await this.ringNextQueued(userId);
+    }
   }
 
-  // Handle expert rejecting call
-  // NOTE: Backend will handle state transition and expert release
-  handleRejectCall(socket, data, callback) {
-    const { callId, reason } = data;
+  // Move idle available experts to away; runs on the 5s call check interval
+  async checkIdleExperts() {
+    if (EXPERT_AWAY_AFTER <= 0) return;
 
-    const call = rooms.getCall(callId);
-    if (!call) {
-      logger.error('Call not found', { callId });
-      callback({ success: false, error: 'Call not found' });
-      return;
+    const now = Date.now();
+    for (const [expertId, record] of Object.entries(await rooms.getAllPresenceRecords())) {
+      if (record.state !== 'available' || !record.lastActivityAt || now - record.lastActivityAt < EXPERT_AWAY_AFTER) {
+        continue;
+      }
+      // Presence is only worth changing for a connected expert who is not on a call
+      if ((await rooms.getExpertPresence(expertId)) !== 'available') continue;
+
+      await rooms.savePresenceRecord(expertId, { ...record, state: 'away', auto: true, since: now });
+      // The next event from any of their devices must be written through to bring them back
+      // (devices on other instances catch up within ACTIVITY_WRITE_INTERVAL)
+      for (const socketId of await rooms.getExpertSockets(expertId)) {
+        this.activityWrites.delete(socketId);
+      }
+      logger.info(`💤 Expert auto-away after ${Math.round((now - record.lastActivityAt) / 1000)}s idle: ${expertId}`);
+      await this.broadcastPresence(expertId, 'idle');
     }
+  }
 
-    // Clear timeout
-    if (this.callTimeouts.has(callId)) {
-      clearTimeout(this.callTimeouts.get(callId));
-      this.callTimeouts.delete(callId);
+  // Broadcast the expert's effective presence to everyone if it changed since the last broadcast
+  // Returns the current presence
+  async broadcastPresence(expertId, reason) {
+    const presence = await rooms.getExpertPresence(expertId);
+    const previous = await rooms.swapBroadcastPresence(expertId, presence);
+    if (previous === presence) {
+      return presence;
     }
 
-    // Remove call from socket rooms
-    rooms.endCall(callId);
-
-    // Notify user that call was rejected
-    this.io.to(call.userSocketId).emit('call_rejected', {
-      callId,
-      reason: reason || 'Expert declined the call'
-    });
-
-    // Notify all clients that expert is no longer busy
-    this.io.emit('expert_busy_changed', {
-      expertId: call.expertId,
-      isBusy: false
-    });
-
-    callback({ success: true });
-    logger.callEvent('call_rejected', { callId, reason });
+    const payload = {
+      ...presenceEntry(expertId, presence),
+      previous: previous || null,
+      reason,
+      at: Date.now()
+    };
+    // Only subscribers and the expert's own devices hear about it
+    this.io.to([presenceRoom(expertId), expertId]).emit('expert_presence_changed', payload);
+    webhooks.emit('expert.presence_changed', payload);
+    logger.info(`Expert presence changed: ${expertId}`, { event: 'expert_presence_changed', presence, previous, reason });
+    return presence;
   }
 
-  // Handle call connected (after WebRTC setup)
-  // IMPORTANT: This triggers billing start in backend
-  handleCallConnected(socket, data, callback) {
-    const { callId } = data;
-
-    const call = rooms.getCall(callId);
-    if (!call) {
-      logger.error('Call not found', { callId });
-      callback({ success: false, error: 'Call not found' });
+  // Watch experts' presence: join their presence rooms and get their current state right away
+  async handlePresenceSubscribe(socket, data, callback) {
+    const expertIds = [...new Set(data.expertIds)];
+    const subscribed = [...socket.rooms].filter(room => room.startsWith('presence:'));
+    const added = expertIds.filter(expertId => !socket.rooms.has(presenceRoom(expertId)));
+
+    if (subscribed.length + added.length > PRESENCE_MAX_SUBSCRIPTIONS) {
+      callback(errorAck('too_many_subscriptions', `At most ${PRESENCE_MAX_SUBSCRIPTIONS} experts can be watched at once`, {
+        subscribed: subscribed.length,
+        max: PRESENCE_MAX_SUBSCRIPTIONS
+      }));
       return;
     }
 
-    // Update socket room status to connected
-    rooms.updateCallStatus(callId, 'connected');
+    socket.join(expertIds.map(presenceRoom));
 
-    // Notify both parties (confirmation)
-    this.io.to(call.userSocketId).emit('call_connected', { callId });
-    this.io.to(call.expertSocketId).emit('call_connected', { callId });
+    // One read of the active calls covers every expert in the list
+    const busyExperts = await rooms.getBusyExperts();
+    const experts = await Promise.all(
+      expertIds.map(async expertId => presenceEntry(expertId, await rooms.getExpertPresence(expertId, busyExperts)))
+    );
+    const snapshot = { experts, at: Date.now() };
 
-    callback({ success: true, startTime: Date.now() });
-    logger.callEvent('call_connected', { callId });
+    socket.emit('presence:snapshot', snapshot);
+    callback({ success: true, subscribed: subscribed.length + added.length, ...snapshot });
+    logger.debug(`Presence subscribe: ${socket.id}`, { socketId: socket.id, experts: expertIds.length });
   }
 
-  // Handle call end
-  // IMPORTANT: Backend calculates billing and updates balances
-  async handleCallEnd(socket, data, callback) {
-    const { callId } = data;
-
-    const call = rooms.getCall(callId);
-    if (!call) {
-      logger.warn('Call not found for end', { callId });
-      if (callback) callback({ success: false, error: 'Call not found' });
-      return;
+  // Stop watching experts' presence
+  async handlePresenceUnsubscribe(socket, data, callback) {
+    for (const expertId of new Set(data.expertIds)) {
+      socket.leave(presenceRoom(expertId));
     }
 
-    const duration = rooms.getCallDuration(callId);
-
-    // Notify both parties BEFORE cleanup
-    const endData = { callId, duration };
+    const subscribed = [...socket.rooms].filter(room => room.startsWith('presence:')).length;
+    callback({ success: true, subscribed });
+  }
 
-    if (call.userSocketId && call.userSocketId !== socket.id) {
-      this.io.to(call.userSocketId).emit('call_ended', endData);
-    }
-    if (call.expertSocketId && call.expertSocketId !== socket.id) {
-      this.io.to(call.expertSocketId).emit('call_ended', endData);
+  // Run an event handler on the server's behalf and resolve with its ack
+  // Like a client event, a handler that throws answers internal_error instead of leaving the caller waiting
+  async runHandler(handler, socket, data, options = {}) {
+    let result = null;
+    try {
+      await handler.call(this, socket, data, (ack) => { result = ack; }, options);
+    } catch (error) {
+      logger.error(`Server-side ${handler.name} failed`, { callId: data.callId, error: error.message });
+      return errorAck('internal_error', 'Something went wrong handling this event');
     }
+    return result || errorAck('internal_error', 'Handler finished without an answer');
+  }
 
-    // Remove call from socket rooms
-    rooms.endCall(callId);
-
-    // Notify all clients that expert is no longer busy
-    this.io.emit('expert_busy_changed', {
-      expertId: call.expertId,
-      isBusy: false
-    });
+  // --- SCHEDULED CALLS ---
 
+  // Remind both parties ahead of an appointment (driven by the scheduler)
+  async remindAppointment(appointment, startsInMs) {
+    const { appointmentId, callId, userId, expertId, startAt } = appointment;
+    this.io.to([userId, expertId]).emit('schedule:reminder', { appointmentId, callId, userId, expertId, startAt, startsInMs });
+  }
 
-    // Update expert online status from DB and notify clients
-    try {
-      const statusRes = await axios.get(`${BACKEND_URL}/api/experts/status/${call.expertId}`);
-      const isOnline = !!statusRes.data?.isOnline;
+  // Start time reached: ring the expert on the user's behalf once both are here
+  // Resolves { ringing: true } or { ringing: false, missing: 'user' | 'expert' | 'both', reason }
+  async startAppointment(appointment) {
+    const { appointmentId, callId, userId, expertId } = appointment;
 
-      if (isOnline) {
-        rooms.onlineExperts.add(call.expertId);
-      } else {
-        rooms.onlineExperts.delete(call.expertId);
-      }
+    const userSocketIds = await rooms.getUserSockets(userId);
+    const presence = await rooms.getExpertPresence(expertId);
+    const userHere = userSocketIds.length > 0;
+    const expertHere = presence !== 'offline';
 
-      this.io.emit('expert_status_changed', { expertId: call.expertId, isOnline });
-      logger.info(`Expert status updated after call end: ${call.expertId}, online=${isOnline}`);
-    } catch (error) {
-      logger.error(`Failed to update expert status after call end for ${call.expertId}:`, error.message);
+    if (!userHere || !expertHere) {
+      const missing = !userHere && !expertHere ? 'both' : (userHere ? 'expert' : 'user');
+      return { ringing: false, missing, reason: 'not_connected' };
+    }
+    if (presence === 'busy') {
+      return { ringing: false, missing: 'expert', reason: 'expert_busy' };
     }
 
-    // Clear timeout if exists
-    if (this.callTimeouts.has(callId)) {
-      clearTimeout(this.callTimeouts.get(callId));
-      this.callTimeouts.delete(callId);
+    // The call is bound to one of the user's devices; another one can take it over with call:rejoin once answered
+    const caller = { id: userSocketIds[userSocketIds.length - 1], data: { userId, userType: 'user' } };
+    const result = await this.runHandler(this.handleCallRequest, caller, { callId, expertId }, { scheduled: appointment });
+
+    if (!result.success) {
+      logger.warn(`Scheduled call ${callId} could not ring yet`, { appointmentId, code: result.code });
+      return { ringing: false, missing: 'expert', reason: result.code, ringFailed: true };
     }
 
-    if (callback) callback({ success: true, duration });
-    logger.callEvent('call_ended', { callId, duration });
+    this.io.to(userId).emit('schedule:started', { appointmentId, callId, expertId, userSocketId: caller.id });
+    logger.callEvent('scheduled_call_ringing', { appointmentId, callId, userId, expertId });
+    return { ringing: true };
   }
 
+  // Start time passed and someone is not here yet
+  async notifyAppointmentWaiting(appointment, missing, noShowInMs) {
+    const { appointmentId, callId, userId, expertId } = appointment;
+    this.io.to([userId, expertId]).emit('schedule:waiting', { appointmentId, callId, waitingFor: missing, noShowInMs });
+  }
 
-  // Handle expert status change from frontend
-  handleExpertStatusChange(socket, data) {
-    const { expertId, isOnline } = data;
+  // Tell both parties and the backend how an appointment ended
+  async reportAppointmentOutcome(appointment) {
+    const { appointmentId, callId, userId, expertId, outcome } = appointment;
+    this.io.to([userId, expertId]).emit('schedule:outcome', { appointmentId, callId, ...outcome });
 
-    // Verify socket belongs to this expert
-    const userData = rooms.socketToUser.get(socket.id);
-    if (!userData || userData.userId !== expertId || userData.userType !== 'expert') {
-      logger.warn('Unauthorized expert status change attempt', { socketId: socket.id, expertId });
-      return;
+    if (outcome.status === 'no_show') {
+      metrics.recordCallOutcome('no_show');
+      webhooks.emit('call.no_show', { appointmentId, callId, userId, expertId, party: outcome.party, reason: outcome.reason });
     }
 
-    // Fetch current status from DB and emit to all clients
-    axios.get(`${BACKEND_URL}/api/experts/status/${expertId}`)
-      .then(response => {
-        const dbIsOnline = !!response.data?.isOnline;
-        const dbIsBusy = !!response.data?.isBusy;
-
-        // Emit status changes
-        this.io.emit('expert_status_changed', { expertId, isOnline: dbIsOnline });
-        this.io.emit('expert_busy_changed', { expertId, isBusy: dbIsBusy });
-
-        logger.info(`Expert status synced via socket: ${expertId}, online=${dbIsOnline}, busy=${dbIsBusy}`);
-      })
-      .catch(error => {
-        logger.error(`Failed to sync expert status for ${expertId}:`, error.message);
+    try {
+      await outbox.enqueue({
+        callId,
+        action: 'appointment_outcome',
+        method: 'post',
+        path: `/api/appointments/internal/${appointmentId}/outcome`,
+        data: { callId, ...outcome }
       });
+    } catch (error) {
+      logger.error(`❌ Failed to queue outcome for appointment ${appointmentId}:`, error.message);
+    }
   }
 
-  // WebRTC signaling handlers
-  handleWebRTCOffer(socket, data) {
-    const { callId, offer } = data;
-    logger.info(`📡 Received WebRTC offer for call ${callId}`);
+  // --- CALL QUEUE ---
 
-    // Find the call and relay to other participant
-    const call = rooms.activeCalls.get(callId);
-    if (!call) {
-      logger.error(`Call not found for WebRTC offer: ${callId}`);
+  // Busy expert: queue the caller if they asked to wait ({ queue: true }), otherwise turn them away
+  async queueOrRejectBusy(socket, data, callback) {
+    const { callId, expertId } = data;
+
+    if (!data.queue) {
+      const refusal = refusalFor('busy');
+      if (callback) callback(errorAck(refusal.code, refusal.message, { presence: 'busy' }));
       return;
     }
 
-    // Determine who to send offer to
-    const userData = rooms.socketToUser.get(socket.id);
-    if (!userData) {
-      logger.error('Socket not registered for WebRTC offer');
+    const now = Date.now();
+    const result = await rooms.enqueueCall(expertId, {
+      callId,
+      userId: socket.data.userId,
+      userSocketId: socket.id,
+      enqueuedAt: now,
+      expiresAt: now + QUEUE_MAX_WAIT
+    }, QUEUE_MAX_LENGTH);
+
+    if (result.full) {
+      if (callback) callback(errorAck('queue_full', 'Expert queue is full. Please try again later.', { maxLength: QUEUE_MAX_LENGTH }));
       return;
     }
 
-    let targetSocketId;
-    if (userData.userId === call.callerId) {
-      // Offer from caller, send to expert
-      targetSocketId = rooms.expertSockets.get(call.expertId);
-    } else if (userData.userId === call.expertId) {
-      // Offer from expert, send to caller
-      targetSocketId = rooms.userSockets.get(call.callerId);
-    } else {
-      logger.error('Unauthorized WebRTC offer attempt');
+    const { position, length } = result;
+    if (!result.added) {
+      if (callback) callback({ success: true, callId, queued: true, position, length });
       return;
     }
 
-    if (targetSocketId) {
-      this.io.to(targetSocketId).emit('webrtc_offer', { callId, offer });
-      logger.info(`📡 Relayed WebRTC offer to ${targetSocketId}`);
-    } else {
-      logger.error('Target socket not found for WebRTC offer');
-    }
+    if (callback) callback({ success: true, callId, queued: true, position, length, maxWaitMs: QUEUE_MAX_WAIT });
+    logger.callEvent('call_queued', { callId, expertId, position });
+    await this.broadcastQueue(expertId);
   }
 
-  handleWebRTCAnswer(socket, data) {
-    const { callId, answer } = data;
-    logger.info(`📡 Received WebRTC answer for call ${callId}`);
+  // Tell every waiting caller their position and the expert's devices the queue length
+  async broadcastQueue(expertId) {
+    const queue = await rooms.getQueue(expertId);
+    queue.forEach((entry, index) => {
+      this.io.to(entry.userSocketId).emit('queue:position', {
+        callId: entry.callId,
+        expertId,
+        position: index + 1,
+        length: queue.length
+      });
+    });
+    this.io.to(expertId).emit('queue:updated', { expertId, length: queue.length });
+  }
 
-    // Find the call and relay to other participant
-    const call = rooms.activeCalls.get(callId);
-    if (!call) {
-      logger.error(`Call not found for WebRTC answer: ${callId}`);
-      return;
-    }
+  // Caller gives up waiting
+  async handleQueueLeave(socket, data, callback) {
+    const { callId } = data;
+    const queues = await rooms.getAllQueues();
 
-    // Determine who to send answer to
-    const userData = rooms.socketToUser.get(socket.id);
-    if (!userData) {
-      logger.error('Socket not registered for WebRTC answer');
+    for (const [expertId, queue] of Object.entries(queues)) {
+      if (!queue.some(entry => entry.callId === callId && entry.userId === socket.data.userId)) {
+        continue;
+      }
+      await rooms.removeQueuedCalls(expertId, entry => entry.callId === callId);
+      callback({ success: true, callId });
+      logger.callEvent('call_queue_left', { callId, expertId });
+      await this.broadcastQueue(expertId);
       return;
     }
 
-    let targetSocketId;
-    if (userData.userId === call.callerId) {
-      // Answer from caller, send to expert
-      targetSocketId = rooms.expertSockets.get(call.expertId);
-    } else if (userData.userId === call.expertId) {
-      // Answer from expert, send to caller
-      targetSocketId = rooms.userSockets.get(call.callerId);
-    } else {
-      logger.error('Unauthorized WebRTC answer attempt');
+    callback(errorAck('not_queued', 'Call is not waiting in a queue'));
+  }
+
+  // Ring the next waiting caller once the expert is free again
+  // Call ends, declines and transfers can all trigger this at once (on any instance); only the claim holder rings
+  async ringNextQueued(expertId) {
+    const owner = crypto.randomUUID();
+    if (!(await rooms.claimQueueRing(expertId, owner, QUEUE_RING_CLAIM_TTL))) {
+      logger.debug('Queue ring already in progress', { expertId });
       return;
     }
 
-    if (targetSocketId) {
-      this.io.to(targetSocketId).emit('webrtc_answer', { callId, answer });
-      logger.info(`📡 Relayed WebRTC answer to ${targetSocketId}`);
-    } else {
-      logger.error('Target socket not found for WebRTC answer');
+    // Another trigger that lost the claim meanwhile may have seen the expert free up: look again
+    let again = true;
+    while (again) {
+      try {
+        await this.ringNextQueuedClaimed(expertId);
+      } catch (error) {
+        await rooms.releaseQueueRing(expertId, owner);
+        throw error;
+      }
+      again = await rooms.releaseQueueRing(expertId, owner, QUEUE_RING_CLAIM_TTL);
     }
   }
 
-  handleWebRTCIce(socket, data) {
-    const { callId, candidate } = data;
-    logger.info(`🧊 Received ICE candidate for call ${callId}`);
+  // ringNextQueued once the caller holds the expert's queue ring claim
+  async ringNextQueuedClaimed(expertId) {
+    for (;;) {
+      // Busy, away, do-not-disturb or offline experts keep their queue until they are available
+      if ((await rooms.getExpertPresence(expertId)) !== 'available') {
+        return;
+      }
 
-    // Find the call and relay to other participant
-    const call = rooms.activeCalls.get(callId);
-    if (!call) {
-      logger.error(`Call not found for ICE candidate: ${callId}`);
-      return;
-    }
+      const entry = await rooms.dequeueCall(expertId);
+      if (!entry) {
+        return;
+      }
 
-    // Determine who to send candidate to
-    const userData = rooms.socketToUser.get(socket.id);
-    if (!userData) {
-      logger.error('Socket not registered for ICE candidate');
-      return;
-    }
+      // The caller must still be connected on the socket that queued
+      const owner = await rooms.getSocketUser(entry.userSocketId);
+      if (!owner || owner.userId !== entry.userId) {
+        logger.info('Dropping queued call whose caller left', { callId: entry.callId, expertId });
+        continue;
+      }
 
-    let targetSocketId;
-    if (userData.userId === call.callerId) {
-      // ICE from caller, send to expert
-      targetSocketId = rooms.expertSockets.get(call.expertId);
-    } else if (userData.userId === call.expertId) {
-      // ICE from expert, send to caller
-      targetSocketId = rooms.userSockets.get(call.callerId);
-    } else {
-      logger.error('Unauthorized ICE candidate attempt');
+      // The caller's socket may live on another instance; the call request only needs its id and identity
+      const caller = { id: entry.userSocketId, data: { userId: entry.userId, userType: 'user' } };
+      const result = await this.runHandler(this.handleCallRequest, caller, { callId: entry.callId, expertId }, { fromQueue: true });
+
+      if (result.success) {
+        this.io.to(entry.userSocketId).emit('queue:ringing', { callId: entry.callId, expertId });
+        logger.callEvent('call_dequeued', { callId: entry.callId, expertId, waitedMs: Date.now() - entry.enqueuedAt });
+      } else if (result.code === 'expert_busy') {
+        // Someone else got the expert first; keep this caller's place
+        await rooms.requeueCallFirst(expertId, entry);
+      } else {
+        this.io.to(entry.userSocketId).emit('queue:failed', { callId: entry.callId, expertId, code: result.code, message: result.message });
+      }
+
+      await this.broadcastQueue(expertId);
+      return;
+    }
+  }
+
+  // Drop callers who waited longer than the max wait; runs on the 5s call check interval
+  async expireQueuedCalls() {
+    const now = Date.now();
+    for (const expertId of Object.keys(await rooms.getAllQueues())) {
+      const expired = await rooms.removeQueuedCalls(expertId, entry => entry.expiresAt <= now);
+      if (expired.length === 0) continue;
+
+      for (const entry of expired) {
+        this.io.to(entry.userSocketId).emit('queue:expired', { callId: entry.callId, expertId, waitedMs: now - entry.enqueuedAt });
+        logger.callEvent('call_queue_expired', { callId: entry.callId, expertId });
+        metrics.recordCallOutcome('missed');
+        webhooks.emit('call.missed', { callId: entry.callId, userId: entry.userId, expertId, status: 'missed', reason: 'queue_timeout' });
+        await outbox.enqueue({
+          callId: entry.callId,
+          action: 'mark_missed',
+          method: 'put',
+          path: `/api/calls/status/${entry.callId}`,
+          data: { status: 'missed' }
+        }).catch(error => logger.error('Failed to queue missed status for backend', error));
+      }
+      await this.broadcastQueue(expertId);
+    }
+  }
+
+  // Remove a disconnected caller from any queue they were waiting in
+  async removeQueuedSocket(socketId) {
+    for (const [expertId, queue] of Object.entries(await rooms.getAllQueues())) {
+      if (!queue.some(entry => entry.userSocketId === socketId)) continue;
+      const removed = await rooms.removeQueuedCalls(expertId, entry => entry.userSocketId === socketId);
+      logger.info('Removed disconnected caller from queue', { expertId, callIds: removed.map(entry => entry.callId) });
+      await this.broadcastQueue(expertId);
+    }
+  }
+
+  // Handle call timeout
+  async handleCallTimeout(callId) {
+    try {
+      const call = await rooms.getCall(callId);
+      if (!call) return;
+
+      // Only a call that is still ringing can be missed (it may have been answered meanwhile)
+      const result = await rooms.transitionCall(callId, 'missed', { reason: 'timeout' });
+      if (!result.ok) {
+        logger.info('Call timeout ignored', { callId, status: call.status });
+        this.callTimeouts.delete(callId);
+        return;
+      }
+      // An unanswered appointment is the expert not showing up, counted as no_show instead
+      if (call.appointmentId) {
+        await scheduler.settle(call.appointmentId, 'no_show', { party: 'expert', reason: 'not_answered' });
+      } else {
+        metrics.recordCallOutcome('missed');
+      }
+      webhooks.emit('call.missed', callWebhookData(result.call, { reason: 'timeout' }));
+
+      // Notify backend about timeout - mark call as MISSED (delivered through the outbox until acknowledged)
+      try {
+        await outbox.enqueue({
+          callId,
+          action: 'mark_missed',
+          method: 'put',
+          path: `/api/calls/status/${callId}`,
+          data: { status: 'missed' }
+        });
+        logger.callEvent('call_marked_missed', { callId });
+      } catch (outboxError) {
+        logger.error('Failed to queue missed status for backend', outboxError);
+      }
+
+      // Notify user
+      this.io.to(call.userSocketId).emit('call_timeout', { callId });
+
+      // Notify all clients that expert is no longer busy
+      await this.broadcastPresence(call.expertId, 'call_missed');
+
+      // Clean up
+      await rooms.endCall(callId);
+      this.callTimeouts.delete(callId);
+
+      logger.callEvent('call_timeout', { callId });
+
+      await this.ringNextQueued(call.expertId);
+    } catch (error) {
+      logger.error('Handle call timeout error', error);
+    }
+  }
+
+  // Handle expert accepting call
+  // NOTE: Backend will handle state transition
+  async handleAcceptCall(socket, data, callback) {
+    const { callId } = data;
+    const log = callLogger(socket, callId);
+
+    const call = await rooms.getCall(callId);
+    if (!call) {
+      log.error('Call not found', { callId });
+      callback(errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    if (socket.data.userId !== call.expertId) {
+      log.warn('Accept from socket that is not the call expert', { callId, socketId: socket.id });
+      callback(errorAck('not_call_participant', 'Not authorized for this call'));
+      return;
+    }
+
+    if (!canTransition(call.status, 'accepted')) {
+      callback(errorAck('invalid_transition', `Call cannot be accepted while ${call.status}`));
+      return;
+    }
+
+    // First device to answer claims the call; the rest stop ringing
+    if (!(await rooms.claimCall(callId, socket.id))) {
+      log.info('Call already answered on another device', { callId, socketId: socket.id });
+      callback(errorAck('answered_elsewhere', 'Call was already answered on another device'));
+      return;
+    }
+
+    // Clear timeout
+    if (this.callTimeouts.has(callId)) {
+      clearTimeout(this.callTimeouts.get(callId));
+      this.callTimeouts.delete(callId);
+    }
+
+    // Bind the call to the answering device and move it to accepted
+    // A call cancelled since the claim stays gone: the transition only writes a call that still exists
+    const result = await rooms.transitionCall(callId, 'accepted', { by: socket.data.userId }, (current) => {
+      current.expertSocketId = socket.id;
+    });
+    if (!result.ok) {
+      callback(errorAck(result.code, result.error));
+      return;
+    }
+    call.expertSocketId = socket.id;
+    metrics.observeRingToAnswer(Date.now() - call.createdAt);
+    if (call.appointmentId) {
+      await scheduler.settle(call.appointmentId, 'started', { callId });
+    }
+    webhooks.emit('call.accepted', callWebhookData(result.call, { expertSocketId: socket.id }));
+
+    socket.to(call.expertId).emit('call:answered_elsewhere', { callId, action: 'accepted' });
+
+    // Notify user that call was accepted
+    this.io.to(call.userSocketId).emit('call_accepted', {
+      callId,
+      userId: call.userId,
+      expertId: call.expertId,
+      callerInfo: call.callerInfo
+    });
+
+    callback({ success: true });
+    log.callEvent('call_accepted', { callId });
+  }
+
+  // Handle expert rejecting call
+  // NOTE: Backend will handle state transition and expert release
+  async handleRejectCall(socket, data, callback) {
+    const { callId, reason } = data;
+    const log = callLogger(socket, callId);
+
+    const call = await rooms.getCall(callId);
+    if (!call) {
+      log.error('Call not found', { callId });
+      callback(errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    if (socket.data.userId !== call.expertId) {
+      log.warn('Reject from socket that is not the call expert', { callId, socketId: socket.id });
+      callback(errorAck('not_call_participant', 'Not authorized for this call'));
+      return;
+    }
+
+    if (!canTransition(call.status, 'rejected')) {
+      callback(errorAck('invalid_transition', `Call cannot be rejected while ${call.status}`));
+      return;
+    }
+
+    // Rejecting also claims the call so a late accept on another device cannot revive it
+    if (!(await rooms.claimCall(callId, socket.id))) {
+      callback(errorAck('answered_elsewhere', 'Call was already answered on another device'));
+      return;
+    }
+
+    // Clear timeout
+    if (this.callTimeouts.has(callId)) {
+      clearTimeout(this.callTimeouts.get(callId));
+      this.callTimeouts.delete(callId);
+    }
+
+    const result = await rooms.transitionCall(callId, 'rejected', { by: socket.data.userId, reason });
+    if (!result.ok) {
+      callback(errorAck(result.code, result.error));
+      return;
+    }
+    metrics.recordCallOutcome('rejected');
+    webhooks.emit('call.rejected', callWebhookData(result.call, { reason: reason || null }));
+    if (call.appointmentId) {
+      await scheduler.settle(call.appointmentId, 'declined', { party: 'expert', reason: reason || null });
+    }
+
+    // Remove call from socket rooms
+    await rooms.endCall(callId);
+
+    socket.to(call.expertId).emit('call:answered_elsewhere', { callId, action: 'rejected' });
+
+    // Notify user that call was rejected
+    this.io.to(call.userSocketId).emit('call_rejected', {
+      callId,
+      reason: reason || 'Expert declined the call'
+    });
+
+    // Notify all clients that expert is no longer busy
+    await this.broadcastPresence(call.expertId, 'call_rejected');
+
+    callback({ success: true });
+    log.callEvent('call_rejected', { callId, reason });
+
+    await this.ringNextQueued(call.expertId);
+  }
+
+  // Handle call connected (after WebRTC setup)
+  // IMPORTANT: This triggers billing start in backend
+  async handleCallConnected(socket, data, callback) {
+    const { callId } = data;
+    const log = callLogger(socket, callId);
+
+    const call = await rooms.getCall(callId);
+    if (!call) {
+      log.error('Call not found', { callId });
+      callback(errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    if (socket.data.userId !== call.userId && socket.data.userId !== call.expertId) {
+      log.warn('Connected from socket that is not a call participant', { callId, socketId: socket.id });
+      callback(errorAck('not_call_participant', 'Not authorized for this call'));
+      return;
+    }
+
+    // Both sides may report the connection; the second report is a no-op
+    if (call.status === 'connected') {
+      callback({ success: true, startTime: call.startTime });
+      return;
+    }
+
+    // Only an accepted call can become connected
+    const result = await rooms.transitionCall(callId, 'connected', { by: socket.data.userId });
+    if (!result.ok) {
+      callback(errorAck(result.code, result.error));
+      return;
+    }
+    metrics.recordCallOutcome('connected');
+    webhooks.emit('call.connected', callWebhookData(result.call));
+
+    // Notify both parties (confirmation)
+    this.io.to(call.userSocketId).emit('call_connected', { callId });
+    this.io.to(call.expertSocketId).emit('call_connected', { callId });
+
+    callback({ success: true, startTime: result.call.startTime });
+    log.callEvent('call_connected', { callId });
+  }
+
+  // Handle call end
+  // IMPORTANT: Backend calculates billing and updates balances
+  // options.reason is set by server-side ends (auto-cut); clients cannot supply it
+  async handleCallEnd(socket, data, callback, options = {}) {
+    const { callId } = data;
+    const log = callLogger(socket, callId);
+
+    const call = await rooms.getCall(callId);
+    if (!call) {
+      log.warn('Call not found for end', { callId });
+      if (callback) callback(errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    // Server-initiated ends (auto-cut) come without socket data
+    if (socket.data && socket.data.userId !== call.userId && socket.data.userId !== call.expertId) {
+      log.warn('End from socket that is not a call participant', { callId, socketId: socket.id });
+      if (callback) callback(errorAck('not_call_participant', 'Not authorized for this call'));
+      return;
+    }
+
+    const duration = await rooms.getCallDuration(callId);
+
+    // Hanging up before the expert answers cancels the call instead of ending it
+    const finalStatus = call.status === 'ringing' ? 'cancelled' : 'ended';
+    const result = await rooms.transitionCall(callId, finalStatus, {
+      by: socket.data ? socket.data.userId : socket.id,
+      reason: options.reason
+    });
+    if (!result.ok) {
+      if (callback) callback(errorAck(result.code, result.error));
+      return;
+    }
+
+    webhooks.emit('call.ended', callWebhookData(result.call, {
+      duration,
+      endedBy: socket.data ? socket.data.userId : socket.id,
+      reason: options.reason || 'hangup'
+    }));
+
+    // Notify both parties BEFORE cleanup
+    const endData = { callId, duration };
+    if (options.reason) {
+      endData.reason = options.reason;
+    }
+
+    if (call.userSocketId && call.userSocketId !== socket.id) {
+      this.io.to(call.userSocketId).emit('call_ended', endData);
+    }
+    if (call.expertSocketId && call.expertSocketId !== socket.id) {
+      this.io.to(call.expertSocketId).emit('call_ended', endData);
+    } else if (!call.expertSocketId) {
+      // Still ringing on every expert device
+      this.io.to(call.expertId).emit('call_ended', endData);
+    }
+    const guestExperts = this.notifyGuestsCallEnded(call, endData);
+
+    // Remove call from socket rooms
+    await rooms.endCall(callId);
+
+    // Notify all clients that expert is no longer busy
+    await this.broadcastPresence(call.expertId, 'call_ended');
+    for (const expertId of guestExperts) {
+      await this.broadcastPresence(expertId, 'call_ended');
+    }
+
+    // Clear timeout if exists
+    if (this.callTimeouts.has(callId)) {
+      clearTimeout(this.callTimeouts.get(callId));
+      this.callTimeouts.delete(callId);
+    }
+    if (this.reconnectTimers.has(callId)) {
+      clearTimeout(this.reconnectTimers.get(callId));
+      this.reconnectTimers.delete(callId);
+    }
+
+    if (callback) callback({ success: true, duration });
+    log.callEvent('call_ended', { callId, duration, reason: options.reason });
+
+    await this.ringNextQueued(call.expertId);
+    for (const expertId of guestExperts) {
+      await this.ringNextQueued(expertId);
+    }
+  }
+
+  // Handle per-call heartbeat from either participant
+  async handleCallHeartbeat(socket, data, callback) {
+    const { callId } = data;
+
+    const call = await rooms.getCall(callId);
+    if (!call) {
+      if (callback) callback(errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    // Heartbeats only count from the exact sockets bound to the call
+    let party;
+    if (call.userSocketId === socket.id) {
+      party = 'user';
+    } else if (call.expertSocketId === socket.id) {
+      party = 'expert';
+    } else {
+      logger.warn('Heartbeat from socket not bound to call', { callId, socketId: socket.id });
+      if (callback) callback(errorAck('not_call_participant', 'Not a participant of this call'));
+      return;
+    }
+
+    await rooms.updateHeartbeat(callId, party);
+    if (callback) callback({ success: true, serverTime: Date.now() });
+  }
+
+  // Check connected calls for lost heartbeats on either side
+  // Warns both parties first, then cuts the call and reports the reason to the backend
+  async checkCallHeartbeats() {
+    for (const { callId } of await rooms.getAllActiveCalls()) {
+      // Re-read right before acting: earlier iterations await, and the call may have ended or rejoined since the list was taken
+      const call = await rooms.getCall(callId);
+      if (!call || call.status !== 'connected') continue;
+
+      const now = Date.now();
+      const silenceOf = (current, party) => now - ((party === 'user' ? current.lastUserHeartbeat : current.lastExpertHeartbeat) || current.startTime);
+
+      const lostParty = ['user', 'expert'].find(party => silenceOf(call, party) > HEARTBEAT_TIMEOUTS[party]);
+      if (lostParty) {
+        const reason = `${lostParty}_heartbeat_lost`;
+        logger.warn(`🚨 Call ${callId} auto-cut: ${lostParty} heartbeat lost (>${HEARTBEAT_TIMEOUTS[lostParty] / 1000}s)`);
+        await this.autoCutCall(callId, reason);
+        continue;
+      }
+
+      // Warn once per silent stretch; a heartbeat from that side resets it
+      // Only the warning field is written, decided on the stored call so a heartbeat landing meanwhile wins
+      let warned = [];
+      const updated = await rooms.updateCall(callId, (current) => {
+        const warnings = current.heartbeatWarnings || {};
+        warned = current.status !== 'connected' ? [] : ['user', 'expert'].filter(party => (
+          silenceOf(current, party) > HEARTBEAT_WARNING_AFTER && !warnings[party]
+        ));
+        if (warned.length === 0) return false;
+        for (const party of warned) warnings[party] = now;
+        current.heartbeatWarnings = warnings;
+      });
+      if (!updated) continue;
+
+      for (const party of warned) {
+        const silence = silenceOf(updated, party);
+        const payload = {
+          callId,
+          party,
+          cutInMs: Math.max(HEARTBEAT_TIMEOUTS[party] - silence, 0)
+        };
+        if (updated.userSocketId) this.io.to(updated.userSocketId).emit('call:heartbeat_warning', payload);
+        if (updated.expertSocketId) this.io.to(updated.expertSocketId).emit('call:heartbeat_warning', payload);
+        logger.warn(`⚠️ Call ${callId}: ${party} heartbeat missing for ${Math.round(silence / 1000)}s`);
+      }
+    }
+  }
+
+  // End a call on the server's initiative and tell the backend why
+  async autoCutCall(callId, reason) {
+    const result = await this.forceEndCall(callId, reason, 'system_autocut');
+    // A call that ended some other way meanwhile is not an auto-cut
+    if (result.success) {
+      metrics.recordCallOutcome('autocut');
+    }
+    logger.info(`Auto-cut completed for call ${callId}`, { reason, success: result.success });
+  }
+
+  // End a call without a participant socket (auto-cut, admin) through the normal end path,
+  // then stop billing through the outbox once it has ended here
+  // notifyIfMissing also tells the backend about a call this server no longer holds (admin
+  // clean-up of calls stuck only in the backend)
+  // Resolves with the handleCallEnd ack plus backendNotified
+  async forceEndCall(callId, reason, endedBy = 'system', { notifyIfMissing = false } = {}) {
+    // No client socket is ending this call
+    const result = await this.runHandler(this.handleCallEnd, { id: endedBy }, { callId }, { reason });
+    if (!result.success && !(notifyIfMissing && result.code === 'call_not_found')) {
+      return { ...result, backendNotified: false };
+    }
+
+    try {
+      await outbox.enqueue({
+        callId,
+        action: 'end_call',
+        method: 'post',
+        path: `/api/calls/internal/end-call/${callId}`,
+        data: { reason }
+      });
+      logger.info(`✅ Billing stop queued for call ${callId}`, { reason, endedBy });
+    } catch (err) {
+      logger.error(`❌ CRITICAL: Failed to queue billing stop for call ${callId}:`, err.message);
+      return { ...result, backendNotified: false };
+    }
+
+    return { ...result, backendNotified: true };
+  }
+
+  // --- CONFERENCE ---
+
+  // Sockets currently in a call (caller, expert and joined guests), optionally leaving one out
+  callSocketIds(call, excludeSocketId = null) {
+    const socketIds = [call.userSocketId, call.expertSocketId];
+    for (const guest of Object.values(call.participants || {})) {
+      if (guest.status === 'joined') socketIds.push(guest.socketId);
+    }
+    return socketIds.filter(socketId => socketId && socketId !== excludeSocketId);
+  }
+
+  // Send the current roster to everyone in the call
+  broadcastRoster(call) {
+    const socketIds = this.callSocketIds(call);
+    if (socketIds.length > 0) {
+      this.io.to(socketIds).emit('call:participants', { callId: call.callId, participants: callRoster(call) });
+    }
+  }
+
+  // Tell invited and joined guests (and an expert being rung for a transfer) the call is over
+  // Returns those experts so their presence can be updated
+  notifyGuestsCallEnded(call, endData) {
+    const experts = [];
+    if (call.transfer) {
+      this.clearTransferTimer(call.callId);
+      this.io.to(call.transfer.targetExpertId).emit('call:transfer_cancelled', { callId: call.callId, reason: 'call_ended' });
+      experts.push(call.transfer.targetExpertId);
+    }
+    for (const guest of Object.values(call.participants || {})) {
+      if (guest.status === 'joined') {
+        this.io.to(guest.socketId).emit('call_ended', endData);
+      } else if (guest.status === 'invited') {
+        this.clearInviteTimer(call.callId, guest.userId);
+        this.io.to(guest.userId).emit('call_ended', endData);
+      } else {
+        continue;
+      }
+      if (guest.userType === 'expert') experts.push(guest.userId);
+    }
+    return experts;
+  }
+
+  // Caller or expert brings another participant into an answered call
+  async handleCallInvite(socket, data, callback) {
+    const { callId, inviteeId } = data;
+    const inviteeType = data.inviteeType || 'user';
+    const log = callLogger(socket, callId);
+
+    const call = await rooms.getCall(callId);
+    if (!call) {
+      callback(errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    const { userId } = socket.data;
+    if (socket.id !== call.userSocketId && socket.id !== call.expertSocketId) {
+      log.warn('Invite from socket that is not the caller or expert', { callId, socketId: socket.id });
+      callback(errorAck('not_call_participant', 'Only the caller or the expert can invite'));
+      return;
+    }
+
+    const refused = inviteRefusal(call, inviteeId);
+    if (refused) {
+      callback(refused);
+      return;
+    }
+
+    // Experts must be free to join; users only need to be connected
+    if (inviteeType === 'expert') {
+      const presence = await rooms.getExpertPresence(inviteeId);
+      const refusal = refusalFor(presence);
+      if (refusal) {
+        callback(errorAck(refusal.code, refusal.message, { presence }));
+        return;
+      }
+    } else if (!(await rooms.isUserConnected(inviteeId))) {
+      callback(errorAck('invitee_offline', 'The invited person is not connected'));
+      return;
+    }
+
+    // Re-check against the stored call: it may have ended or filled up during the presence lookups
+    let refusal = null;
+    const updated = await rooms.updateCall(callId, (current) => {
+      refusal = inviteRefusal(current, inviteeId);
+      if (refusal) return false;
+      current.participants = {
+        ...current.participants,
+        [inviteeId]: {
+          userId: inviteeId,
+          userType: inviteeType,
+          status: 'invited',
+          socketId: null,
+          invitedBy: userId,
+          invitedAt: Date.now()
+        }
+      };
+    });
+    if (!updated) {
+      callback(refusal || errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    // Rings every device of the invitee; the first call:join wins
+    this.io.to(inviteeId).emit('call:invited', {
+      callId,
+      invitedBy: userId,
+      callerInfo: updated.callerInfo,
+      participants: callRoster(updated),
+      timeoutMs: INVITE_TIMEOUT
+    });
+    this.broadcastRoster(updated);
+
+    // An unanswered invite must not keep an expert busy for the rest of the call
+    const timer = setTimeout(() => {
+      this.inviteTimers.delete(`${callId}:${inviteeId}`);
+      this.expireInvite(callId, inviteeId, 'timeout')
+        .catch(error => logger.error(`Failed to time out invite for call ${callId}:`, error.message));
+    }, INVITE_TIMEOUT);
+    this.inviteTimers.set(`${callId}:${inviteeId}`, timer);
+
+    if (inviteeType === 'expert') {
+      await this.broadcastPresence(inviteeId, 'call_invited');
+    }
+
+    callback({ success: true, participants: callRoster(updated) });
+    log.callEvent('call_participant_invited', { callId, inviteeId, inviteeType });
+  }
+
+  // Invited participant (or one who dropped out) enters the call from this socket
+  async handleCallJoin(socket, data, callback) {
+    const { callId } = data;
+    const log = callLogger(socket, callId);
+
+    // Two devices joining at once: only one write sees the guest still free
+    let refusal = null;
+    const call = await rooms.updateCall(callId, (current) => {
+      refusal = joinRefusal(current, socket.data.userId, socket.id);
+      if (refusal) return false;
+      const guest = current.participants[socket.data.userId];
+      guest.status = 'joined';
+      guest.socketId = socket.id;
+      guest.joinedAt = guest.joinedAt || Date.now();
+    });
+    if (!call) {
+      callback(refusal || errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    this.clearInviteTimer(callId, socket.data.userId);
+    socket.to(socket.data.userId).emit('call:answered_elsewhere', { callId, action: 'joined' });
+    this.broadcastRoster(call);
+
+    callback({
+      success: true,
+      call: {
+        callId,
+        userId: call.userId,
+        expertId: call.expertId,
+        status: call.status,
+        startTime: call.startTime,
+        participants: callRoster(call),
+        hold: call.hold || null,
+        mediaState: call.mediaState || {}
+      }
+    });
+    log.callEvent('call_participant_joined', { callId, participant: socket.data.userId });
+  }
+
+  // Guest leaves or declines; for the caller or the expert leaving ends the call
+  async handleCallLeave(socket, data, callback) {
+    const { callId } = data;
+    const log = callLogger(socket, callId);
+
+    const call = await rooms.getCall(callId);
+    if (!call) {
+      callback(errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    const { userId } = socket.data;
+    if (userId === call.userId || userId === call.expertId) {
+      await this.handleCallEnd(socket, data, callback);
+      return;
+    }
+
+    const guest = (call.participants || {})[userId];
+    if (!guest || !['invited', 'joined'].includes(guest.status)) {
+      callback(errorAck('not_call_participant', 'Not a participant of this call'));
+      return;
+    }
+
+    if (guest.status === 'joined' && guest.socketId !== socket.id) {
+      callback(errorAck('not_call_participant', 'In this call on another device'));
+      return;
+    }
+
+    if (!(await this.removeGuest(callId, userId, socket.id, guest.status === 'invited' ? 'declined' : 'left'))) {
+      callback(errorAck('not_call_participant', 'Not a participant of this call'));
+      return;
+    }
+    callback({ success: true });
+    log.callEvent('call_participant_left', { callId, participant: userId });
+  }
+
+  // Take a guest out of the call and update everyone still in it
+  // Only removes a guest still invited, or still joined from socketId; returns false otherwise
+  async removeGuest(callId, userId, socketId, reason) {
+    let guest = null;
+    let leftSocketId = null;
+    const call = await rooms.updateCall(callId, (current) => {
+      guest = (current.participants || {})[userId];
+      if (!guest || !['invited', 'joined'].includes(guest.status)) return false;
+      if (guest.status === 'joined' && guest.socketId !== socketId) return false;
+      leftSocketId = guest.socketId;
+      guest.status = reason === 'declined' ? 'declined' : 'left';
+      guest.socketId = null;
+      guest.leftAt = Date.now();
+      if (current.mediaState) delete current.mediaState[userId];
+    });
+    if (!call) {
+      return false;
+    }
+    this.clearInviteTimer(callId, userId);
+
+    const payload = { callId: call.callId, userId: guest.userId, reason };
+    const socketIds = this.callSocketIds(call).filter(id => id !== leftSocketId);
+    if (socketIds.length > 0) {
+      this.io.to(socketIds).emit('call:participant_left', payload);
+    }
+    this.broadcastRoster(call);
+
+    if (guest.userType === 'expert') {
+      await this.broadcastPresence(guest.userId, 'call_left');
+      await this.ringNextQueued(guest.userId);
+    }
+    return true;
+  }
+
+  // Drop an invite nobody answered (timed out, or the invitee's last device went away)
+  // A null socketId only matches a guest still invited, so someone who joined meanwhile stays
+  async expireInvite(callId, inviteeId, reason) {
+    if (!(await this.removeGuest(callId, inviteeId, null, 'declined'))) {
+      return;
+    }
+    this.io.to(inviteeId).emit('call:invite_cancelled', { callId, reason });
+    logger.callEvent('call_invite_expired', { callId, inviteeId, reason });
+  }
+
+  clearInviteTimer(callId, inviteeId) {
+    const key = `${callId}:${inviteeId}`;
+    if (this.inviteTimers.has(key)) {
+      clearTimeout(this.inviteTimers.get(key));
+      this.inviteTimers.delete(key);
+    }
+  }
+
+  // --- CALL TRANSFER ---
+
+  // Expert hands the caller to another expert
+  // cold: the original expert drops once the target accepts
+  // warm: the original expert stays on as a guest until they call:leave
+  async handleCallTransfer(socket, data, callback) {
+    const { callId, targetExpertId, note } = data;
+    const mode = data.mode || 'cold';
+    const log = callLogger(socket, callId);
+
+    const call = await rooms.getCall(callId);
+    if (!call) {
+      callback(errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    if (socket.id !== call.expertSocketId) {
+      log.warn('Transfer from socket that is not the call expert', { callId, socketId: socket.id });
+      callback(errorAck('not_call_participant', 'Only the expert on the call can transfer it'));
+      return;
+    }
+
+    const refused = transferRefusal(call, targetExpertId, mode);
+    if (refused) {
+      callback(refused);
+      return;
+    }
+
+    const presence = await rooms.getExpertPresence(targetExpertId);
+    const refusal = refusalFor(presence);
+    if (refusal) {
+      callback(errorAck(refusal.code, refusal.message, { presence }));
+      return;
+    }
+
+    // Re-check against the stored call: another transfer or a drop may have landed during the lookup
+    let conflict = null;
+    const updated = await rooms.updateCall(callId, (current) => {
+      conflict = current.expertSocketId !== socket.id
+        ? errorAck('not_call_participant', 'Only the expert on the call can transfer it')
+        : transferRefusal(current, targetExpertId, mode);
+      if (conflict) return false;
+      current.transfer = {
+        targetExpertId,
+        fromExpertId: current.expertId,
+        mode,
+        note: note || null,
+        requestedAt: Date.now()
+      };
+    });
+    if (!updated) {
+      callback(conflict || errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+    call.transfer = updated.transfer;
+
+    // Rings every device of the target; the first call:transfer_accept wins
+    this.io.to(targetExpertId).emit('call:transfer_request', {
+      callId,
+      fromExpertId: call.expertId,
+      userId: call.userId,
+      mode,
+      note: call.transfer.note,
+      callerInfo: call.callerInfo,
+      timeoutMs: TRANSFER_TIMEOUT
+    });
+    this.io.to(call.userSocketId).emit('call:transferring', { callId, toExpertId: targetExpertId, mode });
+    await this.broadcastPresence(targetExpertId, 'transfer_ringing');
+
+    const timer = setTimeout(() => {
+      this.transferTimers.delete(callId);
+      this.failTransfer(callId, 'timeout')
+        .catch(error => logger.error(`Failed to time out transfer for call ${callId}:`, error.message));
+    }, TRANSFER_TIMEOUT);
+    this.transferTimers.set(callId, timer);
+
+    callback({ success: true, transfer: call.transfer, timeoutMs: TRANSFER_TIMEOUT });
+    log.callEvent('call_transfer_requested', { callId, targetExpertId, mode });
+  }
+
+  // Target expert takes the call; the backend switches billing before anyone is moved
+  async handleTransferAccept(socket, data, callback) {
+    const { callId } = data;
+    const log = callLogger(socket, callId);
+
+    const call = await rooms.getCall(callId);
+    if (!call || !call.transfer || call.transfer.targetExpertId !== socket.data.userId) {
+      callback(errorAck('transfer_not_found', 'No transfer is ringing for you on this call'));
+      return;
+    }
+
+    if (!(await rooms.claimTransfer(callId, socket.id))) {
+      callback(errorAck('answered_elsewhere', 'Transfer was already answered on another device'));
+      return;
+    }
+
+    // A participant dropped while the target was ringing; the call is not moved mid-reconnect
+    if (call.status !== 'connected') {
+      await this.failTransfer(callId, 'call_not_connected');
+      callback(errorAck('invalid_transition', `Call cannot be transferred while ${call.status}`));
+      return;
+    }
+
+    const { fromExpertId, targetExpertId, mode } = call.transfer;
+    try {
+      await backend.post(`/api/calls/internal/transfer/${callId}`, { fromExpertId, toExpertId: targetExpertId, mode });
+    } catch (error) {
+      log.error(`Backend refused transfer of call ${callId}:`, error.message);
+      await this.failTransfer(callId, 'backend_error');
+      callback(backendErrorAck(error, 'Transfer could not be completed'));
+      return;
+    }
+    this.clearTransferTimer(callId);
+
+    // Swap experts on the stored call: it may have changed while the backend was asked
+    let previousSocketId = null;
+    const current = await rooms.updateCall(callId, (stored) => {
+      if (!stored.transfer || stored.transfer.targetExpertId !== targetExpertId) return false;
+      previousSocketId = stored.expertSocketId;
+      const now = Date.now();
+      if (mode === 'warm') {
+        stored.participants = stored.participants || {};
+        stored.participants[fromExpertId] = {
+          userId: fromExpertId,
+          userType: 'expert',
+          status: 'joined',
+          socketId: previousSocketId,
+          invitedBy: fromExpertId,
+          invitedAt: now,
+          joinedAt: now
+        };
+      }
+      stored.expertId = targetExpertId;
+      stored.expertSocketId = socket.id;
+      stored.lastExpertHeartbeat = now;
+      if (stored.heartbeatWarnings) {
+        delete stored.heartbeatWarnings.expert;
+      }
+      if (mode === 'cold' && stored.mediaState) {
+        delete stored.mediaState[fromExpertId];
+      }
+      stored.transfers = [...(stored.transfers || []), { fromExpertId, toExpertId: targetExpertId, mode, at: now }];
+      delete stored.transfer;
+    });
+    if (!current) {
+      await rooms.releaseTransfer(callId);
+      callback(errorAck('call_not_found', 'Call ended before the transfer completed'));
+      return;
+    }
+    await rooms.releaseTransfer(callId);
+
+    webhooks.emit('call.transferred', callWebhookData(current, { fromExpertId, toExpertId: targetExpertId, mode }));
+
+    socket.to(targetExpertId).emit('call:answered_elsewhere', { callId, action: 'transfer_accepted' });
+    this.io.to(previousSocketId).emit('call:transferred', { callId, toExpertId: targetExpertId, mode });
+
+    // The caller's app renegotiates media with the new expert on the same call
+    this.io.to(this.callSocketIds(current, socket.id)).emit('call:expert_changed', {
+      callId,
+      expertId: targetExpertId,
+      previousExpertId: fromExpertId,
+      mode,
+      participants: callRoster(current)
+    });
+    if (mode === 'warm') {
+      this.broadcastRoster(current);
+    }
+
+    callback({
+      success: true,
+      call: {
+        callId,
+        userId: current.userId,
+        expertId: current.expertId,
+        status: current.status,
+        startTime: current.startTime,
+        callerInfo: current.callerInfo,
+        participants: callRoster(current),
+        hold: current.hold || null,
+        mediaState: current.mediaState || {}
+      }
+    });
+    log.callEvent('call_transferred', { callId, fromExpertId, toExpertId: targetExpertId, mode });
+
+    if (mode === 'cold') {
+      await this.broadcastPresence(fromExpertId, 'call_transferred');
+      await this.ringNextQueued(fromExpertId);
+    }
+  }
+
+  // Target expert turns the transfer down
+  async handleTransferReject(socket, data, callback) {
+    const { callId } = data;
+
+    const call = await rooms.getCall(callId);
+    if (!call || !call.transfer || call.transfer.targetExpertId !== socket.data.userId) {
+      callback(errorAck('transfer_not_found', 'No transfer is ringing for you on this call'));
+      return;
+    }
+
+    await this.failTransfer(callId, 'rejected', data.reason);
+    callback({ success: true });
+  }
+
+  // Original expert withdraws a transfer that is still ringing
+  async handleTransferCancel(socket, data, callback) {
+    const { callId } = data;
+
+    const call = await rooms.getCall(callId);
+    if (!call || !call.transfer || socket.id !== call.expertSocketId) {
+      callback(errorAck('transfer_not_found', 'No transfer is ringing on this call'));
+      return;
+    }
+
+    await this.failTransfer(callId, 'cancelled');
+    callback({ success: true });
+  }
+
+  // Drop a pending transfer; the call carries on with the original expert
+  async failTransfer(callId, reason, detail = null) {
+    this.clearTransferTimer(callId);
+
+    let targetExpertId = null;
+    const call = await rooms.updateCall(callId, (current) => {
+      if (!current.transfer) return false;
+      targetExpertId = current.transfer.targetExpertId;
+      delete current.transfer;
+    });
+    if (!call) return;
+    await rooms.releaseTransfer(callId);
+
+    const payload = { callId, targetExpertId, reason };
+    if (detail) payload.detail = detail;
+    this.io.to([call.expertSocketId, call.userSocketId].filter(Boolean)).emit('call:transfer_failed', payload);
+    this.io.to(targetExpertId).emit('call:transfer_cancelled', { callId, reason });
+
+    await this.broadcastPresence(targetExpertId, 'transfer_failed');
+    logger.callEvent('call_transfer_failed', { callId, targetExpertId, reason });
+    await this.ringNextQueued(targetExpertId);
+  }
+
+  clearTransferTimer(callId) {
+    if (this.transferTimers.has(callId)) {
+      clearTimeout(this.transferTimers.get(callId));
+      this.transferTimers.delete(callId);
+    }
+  }
+
+  // --- HOLD AND MEDIA STATE ---
+
+  // userId a socket is in the call as (caller, expert or joined guest), or null
+  participantOf(call, socketId) {
+    if (socketId === call.userSocketId) return call.userId;
+    if (socketId === call.expertSocketId) return call.expertId;
+    const guest = Object.values(call.participants || {}).find(p => p.status === 'joined' && p.socketId === socketId);
+    return guest ? guest.userId : null;
+  }
+
+  // Caller or expert puts the call on hold
+  async handleCallHold(socket, data, callback) {
+    const { callId } = data;
+    const log = callLogger(socket, callId);
+
+    let refusal = null;
+    let existingHold = null;
+    const call = await rooms.updateCall(callId, (current) => {
+      existingHold = null;
+      if (socket.id !== current.userSocketId && socket.id !== current.expertSocketId) {
+        refusal = errorAck('not_call_participant', 'Only the caller or the expert can put the call on hold');
+      } else if (current.status !== 'connected') {
+        refusal = errorAck('invalid_transition', `Call cannot be put on hold while ${current.status}`);
+      } else {
+        refusal = null;
+        existingHold = current.hold || null;
+      }
+      if (refusal || existingHold) return false;
+      current.hold = { by: socket.data.userId, since: Date.now() };
+      current.holdCount = (current.holdCount || 0) + 1;
+    });
+
+    // Holding twice is a no-op
+    if (existingHold) {
+      callback({ success: true, hold: existingHold });
+      return;
+    }
+    if (!call) {
+      callback(refusal || errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    this.io.to(this.callSocketIds(call, socket.id)).emit('call:held', { callId, ...call.hold });
+
+    if (HOLD_PAUSES_BILLING) {
+      await this.queueHoldBilling(call, 'hold', { heldAt: call.hold.since, by: call.hold.by });
+    }
+
+    callback({ success: true, hold: call.hold });
+    log.callEvent('call_held', { callId, by: call.hold.by });
+  }
+
+  // Caller or expert takes the call off hold (either of them, not only whoever held it)
+  async handleCallResume(socket, data, callback) {
+    const { callId } = data;
+    const log = callLogger(socket, callId);
+
+    // Caller and expert resuming at once: only the first write finds the hold
+    const now = Date.now();
+    let refusal = null;
+    let heldMs = 0;
+    const call = await rooms.updateCall(callId, (current) => {
+      if (socket.id !== current.userSocketId && socket.id !== current.expertSocketId) {
+        refusal = errorAck('not_call_participant', 'Only the caller or the expert can resume the call');
+      } else if (!current.hold) {
+        refusal = errorAck('not_on_hold', 'Call is not on hold');
+      } else {
+        refusal = null;
+      }
+      if (refusal) return false;
+      heldMs = now - current.hold.since;
+      current.holdTotalMs = (current.holdTotalMs || 0) + heldMs;
+      delete current.hold;
+    });
+    if (!call) {
+      callback(refusal || errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    const payload = { callId, by: socket.data.userId, heldMs, holdTotalMs: call.holdTotalMs };
+    this.io.to(this.callSocketIds(call, socket.id)).emit('call:resumed', payload);
+
+    if (HOLD_PAUSES_BILLING) {
+      await this.queueHoldBilling(call, 'resume', { resumedAt: now, by: socket.data.userId, heldMs });
+    }
+
+    callback({ success: true, heldMs, holdTotalMs: call.holdTotalMs });
+    log.callEvent('call_resumed', { callId, heldMs });
+  }
+
+  // Hold and resume go through the outbox so billing is paused and resumed even if the backend is briefly down
+  // Each hold period gets its own outbox key; timestamps let the backend order late deliveries
+  async queueHoldBilling(call, action, data) {
+    try {
+      await outbox.enqueue({
+        callId: call.callId,
+        action: `${action}_${call.holdCount}`,
+        method: 'post',
+        path: `/api/calls/internal/${action}/${call.callId}`,
+        data
+      });
+    } catch (error) {
+      logger.error(`❌ Failed to queue billing ${action} for call ${call.callId}:`, error.message);
+    }
+  }
+
+  // Participant reports mute / camera / screen share; the rest of the call is told
+  async handleMediaState(socket, data, callback) {
+    const { callId } = data;
+
+    // Merge into the stored state so simultaneous reports from different participants all land
+    let refusal = null;
+    let userId = null;
+    let state = null;
+    const call = await rooms.updateCall(callId, (current) => {
+      userId = this.participantOf(current, socket.id);
+      refusal = userId ? null : errorAck('not_call_participant', 'Not a participant of this call');
+      if (refusal) return false;
+      state = { ...((current.mediaState || {})[userId] || { audio: true, video: true, screen: false }) };
+      for (const key of ['audio', 'video', 'screen']) {
+        if (typeof data[key] === 'boolean') state[key] = data[key];
+      }
+      state.updatedAt = Date.now();
+      current.mediaState = { ...(current.mediaState || {}), [userId]: state };
+    });
+    if (!call) {
+      callback(refusal || errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    const others = this.callSocketIds(call, socket.id);
+    if (others.length > 0) {
+      this.io.to(others).emit('call:media_state', { callId, userId, ...state });
+    }
+    callback({ success: true, mediaState: state });
+  }
+
+  // Socket a signaling message goes to, or false if the sender may not address that peer
+  // Without `to` the caller and the expert talk to each other as in a 1:1 call;
+  // with `to` any participant in the call can address any other one
+  relayTarget(call, fromUserId, to) {
+    const inCall = (userId) => userId === call.userId || userId === call.expertId ||
+      Boolean(call.participants && call.participants[userId] && call.participants[userId].status === 'joined');
+
+    if (!inCall(fromUserId)) return false;
+
+    if (!to) {
+      if (fromUserId === call.userId) return call.expertSocketId;
+      if (fromUserId === call.expertId) return call.userSocketId;
+      return false;
+    }
+
+    if (to === fromUserId || !inCall(to)) return false;
+    if (to === call.userId) return call.userSocketId;
+    if (to === call.expertId) return call.expertSocketId;
+    return call.participants[to].socketId;
+  }
+
+  // WebRTC signaling handlers
+  async handleWebRTCOffer(socket, data) {
+    const { callId, offer, to } = data;
+    const log = callLogger(socket, callId);
+    log.info(`📡 Received WebRTC offer for call ${callId}`);
+
+    // Find the call and relay to other participant
+    const call = await rooms.getCall(callId);
+    if (!call) {
+      log.error(`Call not found for WebRTC offer: ${callId}`);
+      return;
+    }
+
+    // Determine who to send offer to
+    const userData = await rooms.getSocketUser(socket.id);
+    if (!userData) {
+      log.error('Socket not registered for WebRTC offer');
+      return;
+    }
+
+    // Relay to the exact device of the addressed participant, not just any device of theirs
+    const targetSocketId = this.relayTarget(call, userData.userId, to);
+    if (targetSocketId === false) {
+      log.error('Unauthorized WebRTC offer attempt', { to });
+      return;
+    }
+
+    if (targetSocketId) {
+      this.io.to(targetSocketId).emit('webrtc_offer', { callId, offer, from: userData.userId });
+      log.info(`📡 Relayed WebRTC offer to ${targetSocketId}`);
+    } else {
+      log.error('Target socket not found for WebRTC offer');
+    }
+  }
+
+  async handleWebRTCAnswer(socket, data) {
+    const { callId, answer, to } = data;
+    const log = callLogger(socket, callId);
+    log.info(`📡 Received WebRTC answer for call ${callId}`);
+
+    // Find the call and relay to other participant
+    const call = await rooms.getCall(callId);
+    if (!call) {
+      log.error(`Call not found for WebRTC answer: ${callId}`);
+      return;
+    }
+
+    // Determine who to send answer to
+    const userData = await rooms.getSocketUser(socket.id);
+    if (!userData) {
+      log.error('Socket not registered for WebRTC answer');
+      return;
+    }
+
+    // Relay to the exact device of the addressed participant, not just any device of theirs
+    const targetSocketId = this.relayTarget(call, userData.userId, to);
+    if (targetSocketId === false) {
+      log.error('Unauthorized WebRTC answer attempt', { to });
+      return;
+    }
+
+    if (targetSocketId) {
+      this.io.to(targetSocketId).emit('webrtc_answer', { callId, answer, from: userData.userId });
+      log.info(`📡 Relayed WebRTC answer to ${targetSocketId}`);
+    } else {
+      log.error('Target socket not found for WebRTC answer');
+    }
+  }
+
+  async handleWebRTCIce(socket, data) {
+    const { callId, candidate, to } = data;
+    const log = callLogger(socket, callId);
+    log.info(`🧊 Received ICE candidate for call ${callId}`);
+
+    // Find the call and relay to other participant
+    const call = await rooms.getCall(callId);
+    if (!call) {
+      log.error(`Call not found for ICE candidate: ${callId}`);
+      return;
+    }
+
+    // Determine who to send candidate to
+    const userData = await rooms.getSocketUser(socket.id);
+    if (!userData) {
+      log.error('Socket not registered for ICE candidate');
+      return;
+    }
+
+    // Relay to the exact device of the addressed participant, not just any device of theirs
+    const targetSocketId = this.relayTarget(call, userData.userId, to);
+    if (targetSocketId === false) {
+      log.error('Unauthorized ICE candidate attempt', { to });
       return;
     }
 
     if (targetSocketId) {
-      this.io.to(targetSocketId).emit('webrtc_ice', { callId, candidate });
-      logger.info(`🧊 Relayed ICE candidate to ${targetSocketId}`);
+      this.io.to(targetSocketId).emit('webrtc_ice', { callId, candidate, from: userData.userId });
+      log.info(`🧊 Relayed ICE candidate to ${targetSocketId}`);
     } else {
-      logger.error('Target socket not found for ICE candidate');
+      log.error('Target socket not found for ICE candidate');
     }
   }
 
   // --- CHAT EVENTS ---
 
   // Handle send message
-  handleSendMessage(socket, data, callback) {
+  // The server assigns the message id and timestamp; the sender then follows it through
+  // sent (or queued) -> delivered (a receiver device acked it) -> read
+  // With a joined chatId the message also goes to everyone in the chat room and into its history;
+  // a group message has no receiverId and only goes to the room
+  async handleSendMessage(socket, data, callback) {
     const { receiverId, content, type = 'text', tempId, chatId } = data;
-    const userData = rooms.socketToUser.get(socket.id);
+    const userData = await rooms.getSocketUser(socket.id);
 
-    if (!userData || !receiverId || !content) {
-      if (callback) callback({ success: false, error: 'Invalid data' });
+    if (!userData || (!receiverId && !chatId) || !content) {
+      if (callback) callback(errorAck('invalid_payload', 'Invalid data'));
       return;
     }
 
-    const { userId, userType } = userData;
+    const inChat = Boolean(chatId) && socket.rooms.has(chatRoom(chatId));
+    if (!receiverId && !inChat) {
+      if (callback) callback(errorAck('not_in_chat', 'Join the chat before sending to it'));
+      return;
+    }
+
+    const ack = await this.deliverChatMessage(socket, userData, { receiverId, chatId, inChat, content, type, tempId });
+    if (callback) callback(ack);
+  }
 
-    // Find receiver socket
-    const receiverSocketId = userType === 'expert'
-      ? rooms.userSockets.get(receiverId) // If sender is expert, receiver is user
-      : rooms.getExpertSocket(receiverId); // If sender is user, receiver is expert
+  // Route a message to its receiver and/or chat room and return the sender's ack
+  async deliverChatMessage(socket, sender, { receiverId, chatId, inChat, content, type, tempId, attachment }) {
+    const { userId, userType } = sender;
 
     const messageData = {
+      messageId: crypto.randomUUID(),
       senderId: userId,
       receiverId,
       content,
       type,
       timestamp: new Date().toISOString(),
       tempId, // Pass back for UI optimistic update confirmation
-      ...(chatId ? { chatId } : {})
+      ...(chatId ? { chatId } : {}),
+      ...(attachment ? { attachment } : {})
     };
+    const sent = { messageId: messageData.messageId, timestamp: messageData.timestamp, tempId };
 
-    // Forward to receiver if online
-    if (receiverSocketId) {
-      this.io.to(receiverSocketId).emit('receive_message', messageData);
-      if (callback) callback({ success: true, status: 'sent' });
-    } else {
-      // Receiver offline, message stored in DB via API call in frontend usually, 
-      // or we could trigger a push notification here
-      if (callback) callback({ success: true, status: 'queued' });
+    if (inChat) {
+      await rooms.updateChatHistory(chatId, history => trimChatHistory([...history, messageData], Date.now()));
+    }
+
+    if (!receiverId) {
+      socket.to(chatRoom(chatId)).emit('receive_message', messageData);
+      return { success: true, status: 'sent', ...sent };
+    }
+
+    // Receiver is online if any of their devices is connected
+    const receiverOnline = userType === 'expert'
+      ? await rooms.isUserConnected(receiverId) // If sender is expert, receiver is user
+      : await rooms.isExpertConnected(receiverId); // If sender is user, receiver is expert
+
+    // Forward to every device of the receiver (each joins its ID room on register)
+    // and, for a joined chat, the sender's other devices in it
+    if (receiverOnline) {
+      await this.trackMessage(messageData, 'sent');
+      socket.to(inChat ? [chatRoom(chatId), receiverId] : receiverId).emit('receive_message', messageData);
+      return { success: true, status: 'sent', ...sent };
+    }
+
+    // Receiver offline: hold the message until one of their devices registers and acks it
+    const result = await this.queueOfflineMessage(receiverId, messageData);
+    if (!result.ok) {
+      return errorAck('recipient_queue_full', 'Recipient has too many undelivered messages', result.limits);
+    }
+    await this.trackMessage(messageData, 'queued');
+    if (inChat) {
+      socket.to(chatRoom(chatId)).emit('receive_message', messageData);
+    }
+    return { success: true, status: 'queued', ...sent, expiresAt: result.entry.expiresAt };
+  }
+
+  // Remember who sent a message to whom so delivery and read receipts can be checked
+  async trackMessage(message, status) {
+    const now = Date.now();
+    await rooms.saveMessageReceipt({
+      messageId: message.messageId,
+      senderId: message.senderId,
+      receiverId: message.receiverId,
+      chatId: message.chatId || null,
+      status,
+      sentAt: now,
+      deliveredAt: null,
+      expiresAt: now + MESSAGE_RECEIPT_TTL
+    });
+  }
+
+  // Receipts for messages the reader really was sent, grouped by sender
+  // Queued messages that never reached a device, other people's messages and unknown ids are left out
+  async receiptsForRecipient(recipientId, messageIds, statuses) {
+    const bySender = new Map();
+    const ignored = [];
+
+    for (const messageId of new Set(messageIds)) {
+      const receipt = await rooms.getMessageReceipt(messageId);
+      if (!receipt || receipt.receiverId !== recipientId || !statuses.includes(receipt.status)) {
+        ignored.push(messageId);
+        continue;
+      }
+      if (!bySender.has(receipt.senderId)) bySender.set(receipt.senderId, []);
+      bySender.get(receipt.senderId).push(receipt);
+    }
+    return { bySender, ignored };
+  }
+
+  // Append a message to the recipient's offline queue; expired messages are dropped first
+  // The limits are checked inside the update so concurrent senders cannot overfill the queue
+  async queueOfflineMessage(recipientId, message) {
+    const now = Date.now();
+    const bytes = Buffer.byteLength(JSON.stringify(message));
+    const entry = {
+      message,
+      bytes,
+      queuedAt: now,
+      expiresAt: now + OFFLINE_MESSAGE_TTL
+    };
+
+    let full = null;
+    const queued = await rooms.updateOfflineMessages(recipientId, (stored) => {
+      const waiting = stored.filter(item => item.expiresAt > now);
+      const totalBytes = waiting.reduce((sum, item) => sum + item.bytes, 0) + bytes;
+      full = waiting.length >= OFFLINE_MAX_MESSAGES || totalBytes > OFFLINE_MAX_BYTES
+        ? { messages: waiting.length, bytes: totalBytes }
+        : null;
+      return full ? undefined : [...waiting, entry];
+    });
+
+    if (full) {
+      logger.warn('Offline message queue full', { recipientId, ...full });
+      return { ok: false, limits: { maxMessages: OFFLINE_MAX_MESSAGES, maxBytes: OFFLINE_MAX_BYTES } };
+    }
+    logger.debug('Chat message queued for offline recipient', { recipientId, messageId: message.messageId, waiting: queued.length });
+    return { ok: true, entry };
+  }
+
+  // Replay a recipient's waiting messages to a freshly registered socket, oldest first
+  // They stay queued (and are sent again on the next register) until the recipient acks them
+  async deliverOfflineMessages(socket, recipientId) {
+    const now = Date.now();
+    const waiting = await rooms.updateOfflineMessages(recipientId, (stored) => {
+      const live = stored.filter(entry => entry.expiresAt > now);
+      return live.length !== stored.length ? live : undefined;
+    });
+
+    for (const entry of waiting) {
+      await rooms.updateMessageReceipt(entry.message.messageId, receipt => (
+        receipt.status === 'queued' ? { ...receipt, status: 'sent' } : undefined
+      ));
+      socket.emit('receive_message', { ...entry.message, queued: true, queuedAt: entry.queuedAt });
+    }
+    if (waiting.length > 0) {
+      logger.info(`📨 Delivered ${waiting.length} queued messages to ${recipientId}`, { socketId: socket.id });
+    }
+  }
+
+  // A receiver device confirms messages arrived: they leave the offline queue
+  // and each sender's devices get messages_delivered
+  async handleChatAck(socket, data, callback) {
+    const { userId } = socket.data;
+    const acked = new Set(data.messageIds);
+
+    let removed = 0;
+    const remaining = await rooms.updateOfflineMessages(userId, (waiting) => {
+      const left = waiting.filter(entry => !acked.has(entry.message.messageId));
+      removed = waiting.length - left.length;
+      return removed > 0 ? left : undefined;
+    });
+
+    // Only a receipt still at 'sent' moves on; one already read or expired is left alone
+    const deliveredAt = Date.now();
+    const { bySender, ignored } = await this.receiptsForRecipient(userId, data.messageIds, ['sent']);
+    for (const [senderId, receipts] of bySender) {
+      const messageIds = [];
+      for (const receipt of receipts) {
+        const delivered = await rooms.updateMessageReceipt(receipt.messageId, current => (
+          current.status === 'sent' ? { ...current, status: 'delivered', deliveredAt } : undefined
+        ));
+        if (delivered) messageIds.push(receipt.messageId);
+      }
+      if (messageIds.length > 0) {
+        this.io.to(senderId).emit('messages_delivered', { receiverId: userId, messageIds, at: deliveredAt });
+      }
+    }
+
+    callback({ success: true, removed, remaining: remaining.length, ignored });
+  }
+
+  // Drop expired offline messages for recipients who have not come back, and receipts nobody
+  // read in time; runs on the 30s sync interval
+  async expireOfflineMessages() {
+    const now = Date.now();
+    for (const recipientId of Object.keys(await rooms.getAllOfflineMessages())) {
+      let expired = 0;
+      await rooms.updateOfflineMessages(recipientId, (messages) => {
+        const live = messages.filter(entry => entry.expiresAt > now);
+        expired = messages.length - live.length;
+        return expired > 0 ? live : undefined;
+      });
+      if (expired > 0) {
+        logger.info(`Expired ${expired} undelivered messages for ${recipientId}`);
+      }
+    }
+
+    for (const receipt of Object.values(await rooms.getAllMessageReceipts())) {
+      if (receipt.expiresAt <= now) {
+        await rooms.deleteMessageReceipt(receipt.messageId);
+      }
     }
   }
 
+  // Drop chat history past CHAT_HISTORY_TTL, and chats with nothing left; runs on the 30s sync interval
+  async expireChatHistory() {
+    const now = Date.now();
+    for (const chatId of Object.keys(await rooms.getAllChatHistory())) {
+      let expired = 0;
+      await rooms.updateChatHistory(chatId, (messages) => {
+        const live = trimChatHistory(messages, now);
+        expired = messages.length - live.length;
+        return expired > 0 ? live : undefined;
+      });
+      if (expired > 0) {
+        logger.debug(`Expired ${expired} history messages in chat ${chatId}`);
+      }
+    }
+  }
+
+  // --- ATTACHMENTS ---
+
+  // Declare a file before uploading it; the same receiverId/chatId rules as send_message apply
+  async handleAttachmentStart(socket, data, callback) {
+    const { receiverId, chatId } = data;
+    if (!receiverId && !(chatId && socket.rooms.has(chatRoom(chatId)))) {
+      callback(errorAck(chatId ? 'not_in_chat' : 'invalid_payload', chatId ? 'Join the chat before sending to it' : 'receiverId or chatId is required'));
+      return;
+    }
+
+    try {
+      const upload = await attachments.begin({ ...data, socketId: socket.id, senderId: socket.data.userId });
+      callback({ success: true, ...upload });
+    } catch (error) {
+      if (!(error instanceof AttachmentError)) throw error;
+      callback(errorAck(error.code, error.message, error.details));
+    }
+  }
+
+  // Each chunk is acked with progress; the last one verifies the file and sends the attachment message
+  async handleAttachmentChunk(socket, data, callback) {
+    const { uploadId, index } = data;
+
+    let result;
+    try {
+      result = await attachments.appendChunk(socket.id, uploadId, index, data.data);
+    } catch (error) {
+      if (!(error instanceof AttachmentError)) throw error;
+      callback(errorAck(error.code, error.message, error.details));
+      return;
+    }
+
+    const progress = { uploadId, index, receivedBytes: result.receivedBytes, size: result.size, totalChunks: result.totalChunks };
+    if (!result.done) {
+      callback({ success: true, done: false, ...progress });
+      return;
+    }
+
+    const { upload } = result;
+    const message = await this.deliverChatMessage(socket, socket.data, {
+      receiverId: upload.receiverId || undefined,
+      chatId: upload.chatId || undefined,
+      inChat: Boolean(upload.chatId) && socket.rooms.has(chatRoom(upload.chatId)),
+      content: upload.name,
+      type: 'attachment',
+      tempId: upload.tempId,
+      attachment: {
+        attachmentId: upload.attachmentId,
+        name: upload.name,
+        mimeType: upload.mimeType,
+        size: upload.size,
+        sha256: upload.sha256,
+        url: `/attachments/${upload.attachmentId}`
+      }
+    });
+    callback({ success: true, done: true, ...progress, attachmentId: upload.attachmentId, message });
+  }
+
+  async handleAttachmentCancel(socket, data, callback) {
+    if (!(await attachments.cancel(socket.id, data.uploadId))) {
+      callback(errorAck('upload_not_found', 'Upload not found'));
+      return;
+    }
+    callback({ success: true, uploadId: data.uploadId });
+  }
+
+  // Join a conversation's room after the backend confirms membership
+  // The ack carries history: the last `limit` messages, or everything after the `since` message id.
+  // gap is true when `since` is older than what the server keeps, so the client should fetch the rest from the API
+  async handleChatJoin(socket, data, callback) {
+    const { chatId, since, limit = CHAT_HISTORY_PAGE } = data;
+    const { userId } = socket.data;
+
+    try {
+      const response = await backend.get(`/api/chats/internal/${chatId}/members/${userId}`);
+      if (!response.data?.isMember) {
+        callback(errorAck('not_chat_member', 'You are not a member of this chat'));
+        return;
+      }
+    } catch (error) {
+      if (error.response && [403, 404].includes(error.response.status)) {
+        callback(errorAck('not_chat_member', 'You are not a member of this chat'));
+        return;
+      }
+      logger.error(`Chat membership check failed for ${chatId}:`, error.message);
+      callback(backendErrorAck(error, 'Could not check chat membership'));
+      return;
+    }
+
+    await socket.join(chatRoom(chatId));
+
+    const history = await rooms.getChatHistory(chatId);
+    const sinceIndex = since ? history.findIndex(message => message.messageId === since) : -1;
+    const gap = Boolean(since) && sinceIndex === -1;
+    const messages = sinceIndex === -1 ? history.slice(-limit) : history.slice(sinceIndex + 1);
+    const cursor = messages.length > 0 ? messages[messages.length - 1].messageId : (since || null);
+
+    logger.debug('Socket joined chat', { chatId, userId, socketId: socket.id, messages: messages.length, gap });
+    callback({ success: true, chatId, messages, cursor, gap });
+  }
+
+  async handleChatLeave(socket, data, callback) {
+    await socket.leave(chatRoom(data.chatId));
+    callback({ success: true, chatId: data.chatId });
+  }
+
   // Handle typing status
-  handleTyping(socket, data) {
-    const { receiverId, isTyping } = data;
-    const userData = rooms.socketToUser.get(socket.id);
+  async handleTyping(socket, data) {
+    const { receiverId, chatId, isTyping } = data;
+    const userData = await rooms.getSocketUser(socket.id);
 
     if (!userData) return;
 
-    const { userId, userType } = userData;
-    const receiverSocketId = userType === 'expert'
-      ? rooms.userSockets.get(receiverId)
-      : rooms.getExpertSocket(receiverId);
+    const { userId } = userData;
 
-    if (receiverSocketId) {
-      this.io.to(receiverSocketId).emit('typing_status', {
+    if (chatId && socket.rooms.has(chatRoom(chatId))) {
+      socket.to(chatRoom(chatId)).emit('typing_status', { senderId: userId, chatId, isTyping });
+    } else if (receiverId) {
+      this.io.to(receiverId).emit('typing_status', {
         senderId: userId,
         isTyping
       });
@@ -727,101 +2475,342 @@ class EventHandler {
   }
 
   // Handle message read
-  handleMessageRead(socket, data) {
-    const { senderId, messageIds } = data; // senderId is who sent the original messages (so we notify them they are read)
-    const userData = rooms.socketToUser.get(socket.id); // Current user (reader)
-
-    if (!userData) return;
+  // Only server message ids the reader was actually sent count; each sender gets messages_read
+  // for their own messages. Read is the last stage, so the receipt is dropped afterwards
+  // Group messages have no receipt; with a joined chatId they are checked against the chat history
+  // and the read goes to the whole chat room
+  async handleMessageRead(socket, data, callback) {
+    const { messageIds, chatId } = data;
+    const userData = await rooms.getSocketUser(socket.id); // Current user (reader)
 
-    const { userType } = userData;
-    const senderSocketId = userType === 'expert'
-      ? rooms.userSockets.get(senderId)
-      : rooms.getExpertSocket(senderId);
+    if (!userData) {
+      callback(errorAck('not_registered', 'Register before marking messages read'));
+      return;
+    }
 
-    if (senderSocketId) {
-      this.io.to(senderSocketId).emit('messages_read', {
+    const readAt = Date.now();
+    const receipts = await this.receiptsForRecipient(userData.userId, messageIds, ['sent', 'delivered']);
+    const { bySender } = receipts;
+    let { ignored } = receipts;
+    let read = 0;
+    for (const [senderId, senderReceipts] of bySender) {
+      for (const receipt of senderReceipts) {
+        await rooms.deleteMessageReceipt(receipt.messageId);
+      }
+      read += senderReceipts.length;
+      this.io.to(senderId).emit('messages_read', {
         readerId: userData.userId,
-        messageIds
+        messageIds: senderReceipts.map(receipt => receipt.messageId),
+        ...(chatId ? { chatId } : {}),
+        at: readAt
+      });
+    }
+
+    if (chatId && ignored.length > 0 && socket.rooms.has(chatRoom(chatId))) {
+      const received = new Set((await rooms.getChatHistory(chatId))
+        .filter(message => message.senderId !== userData.userId)
+        .map(message => message.messageId));
+      const roomRead = ignored.filter(messageId => received.has(messageId));
+      if (roomRead.length > 0) {
+        socket.to(chatRoom(chatId)).emit('messages_read', { readerId: userData.userId, chatId, messageIds: roomRead, at: readAt });
+        read += roomRead.length;
+        ignored = ignored.filter(messageId => !received.has(messageId));
+      }
+    }
+
+    if (ignored.length > 0) {
+      logger.debug('Ignored read receipts for unknown messages', { readerId: userData.userId, count: ignored.length });
+    }
+    callback({ success: true, read, ignored });
+  }
+
+  // Handle participant rejoining an in-progress call from a new socket
+  // Rebinds the call to the new socket and cancels the pending disconnect end
+  async handleCallRejoin(socket, data, callback) {
+    const { callId } = data;
+    const log = callLogger(socket, callId);
+
+    const { userId } = socket.data;
+    let refusal = null;
+    let party = null;
+    let wasReconnecting = false;
+    // Checked and applied on the stored call so a rejoin racing the grace timer cannot revive an ended call
+    const call = await rooms.updateCall(callId, (current) => {
+      party = userId === current.userId ? 'user' : (userId === current.expertId ? 'expert' : null);
+      if (!party) {
+        refusal = errorAck('not_call_participant', 'Not authorized for this call');
+      } else if (current.status !== 'reconnecting' && !RECONNECTABLE_STATUSES.includes(current.status)) {
+        refusal = errorAck('invalid_transition', `Call cannot be rejoined while ${current.status}`);
+      } else if (current.status === 'reconnecting' && current.reconnecting.party !== party) {
+        // Only the party that dropped can take the call back while it is reconnecting
+        refusal = errorAck('rejoin_not_allowed', 'Call is waiting for the other party to reconnect');
+      } else {
+        refusal = null;
+      }
+      if (refusal) return false;
+
+      wasReconnecting = current.status === 'reconnecting';
+      if (party === 'user') {
+        current.userSocketId = socket.id;
+        current.lastUserHeartbeat = Date.now();
+      } else {
+        current.expertSocketId = socket.id;
+        current.lastExpertHeartbeat = Date.now();
+      }
+      if (current.heartbeatWarnings) {
+        delete current.heartbeatWarnings[party];
+      }
+      if (wasReconnecting) {
+        transition(current, current.reconnecting.previousStatus, { by: userId, reason: 'rejoined' });
+        delete current.reconnecting;
+      }
+    });
+
+    if (!call) {
+      if (!refusal) {
+        log.warn('Call not found for rejoin', { callId });
+      } else if (refusal.code === 'not_call_participant') {
+        log.warn('Unauthorized call rejoin attempt', { callId, socketId: socket.id });
+      }
+      if (callback) callback(refusal || errorAck('call_not_found', 'Call not found'));
+      return;
+    }
+
+    if (this.reconnectTimers.has(callId)) {
+      clearTimeout(this.reconnectTimers.get(callId));
+      this.reconnectTimers.delete(callId);
+    }
+
+    const otherSocketIds = this.callSocketIds(call, socket.id);
+    if (wasReconnecting && otherSocketIds.length > 0) {
+      this.io.to(otherSocketIds).emit('call:peer_rejoined', { callId, party });
+    }
+
+    if (callback) {
+      callback({
+        success: true,
+        call: {
+          callId,
+          userId: call.userId,
+          expertId: call.expertId,
+          status: call.status,
+          startTime: call.startTime,
+          duration: await rooms.getCallDuration(callId),
+          callerInfo: call.callerInfo,
+          participants: callRoster(call),
+          hold: call.hold || null,
+          mediaState: call.mediaState || {}
+        }
+      });
+    }
+    log.callEvent('call_rejoined', { callId, party, socketId: socket.id, wasReconnecting });
+  }
+
+  // Notify the remaining party, release the expert and stop billing for a call whose
+  // participant disconnected (immediately for ringing calls, after the grace window otherwise)
+  // deadline, when given, is the reconnect window being closed: the call only ends if it is
+  // still the stored one, since a rejoin handled by another instance cannot clear this timer
+  async endCallAfterDisconnect(callId, party, deadline = null) {
+    const current = await rooms.getCall(callId);
+    if (!current) return { success: true, callId };
+
+    const isUserDisconnect = party === 'user';
+
+    // A call that never got answered is cancelled, anything later has ended
+    const ended = await rooms.transitionCall(callId, current.status === 'ringing' ? 'cancelled' : 'ended', {
+      reason: 'socket_disconnect',
+      party
+    }, (stored) => {
+      // A rejoin drops stored.reconnecting; dropping out again sets a later deadline
+      if (deadline === null) return true;
+      return Boolean(stored.reconnecting) && stored.reconnecting.party === party &&
+        stored.reconnecting.deadline === deadline;
+    });
+    if (!ended.ok) {
+      // Ended, rejoined or dropped again elsewhere meanwhile: whoever changed it owns the call now
+      return { success: true, callId, skipped: true };
+    }
+    const call = ended.call;
+    metrics.recordCallOutcome('disconnect');
+    webhooks.emit('call.ended', callWebhookData(call, {
+      duration: await rooms.getCallDuration(callId),
+      endedBy: party,
+      reason: 'socket_disconnect'
+    }));
+
+    // INSTANT NOTIFICATION: Notify other party IMMEDIATELY (within milliseconds)
+    // An unclaimed (ringing) call is still ringing on every expert device
+    const otherSocketId = isUserDisconnect ? (call.expertSocketId || call.expertId) : call.userSocketId;
+    const endData = {
+      callId,
+      reason: 'Other party disconnected',
+      duration: await rooms.getCallDuration(callId),
+      disconnectType: party
+    };
+    if (otherSocketId) {
+      this.io.to(otherSocketId).emit('call_ended', endData);
+      logger.info(`⚡ Instant notification sent to other party (socket: ${otherSocketId})`);
+    }
+    const guestExperts = this.notifyGuestsCallEnded(call, endData);
+
+    // INSTANT BROADCAST: Notify all clients that expert is no longer busy
+    if (call.expertId) {
+      await this.broadcastPresence(call.expertId, 'call_ended');
+      logger.info(`⚡ Instant expert busy status cleared: ${call.expertId}`);
+    }
+    for (const expertId of guestExperts) {
+      await this.broadcastPresence(expertId, 'call_ended');
+    }
+
+    // INSTANT LOCAL CLEANUP: Remove call from socket rooms immediately
+    await rooms.endCall(callId);
+
+    // Clear any pending timeouts
+    if (this.callTimeouts.has(callId)) {
+      clearTimeout(this.callTimeouts.get(callId));
+      this.callTimeouts.delete(callId);
+      logger.info(`⏱️ Cleared call timeout for ${callId}`);
+    }
+    if (this.reconnectTimers.has(callId)) {
+      clearTimeout(this.reconnectTimers.get(callId));
+      this.reconnectTimers.delete(callId);
+    }
+
+    logger.info(`🧹 Local call cleanup completed for ${callId}`);
+
+    await this.ringNextQueued(call.expertId);
+    for (const expertId of guestExperts) {
+      await this.ringNextQueued(expertId);
+    }
+
+    // FAIL-SAFE BILLING STOP: Force end call in backend (stops billing immediately)
+    // The outbox persists the request and keeps retrying until the backend acknowledges it
+    try {
+      logger.info(`💰 STOPPING BILLING - Force ending call in backend: ${callId}`);
+      await outbox.enqueue({
+        callId,
+        action: 'end_call',
+        method: 'post',
+        path: `/api/calls/internal/end-call/${callId}`,
+        data: { reason: 'socket_disconnect' }
       });
+      return { success: true, callId };
+    } catch (err) {
+      logger.error(`❌ CRITICAL: Failed to queue billing stop for call ${callId}:`, err.message);
+      // Even if the outbox fails, we still clear local state to prevent stuck calls
+      return { success: false, callId, error: err.message };
     }
   }
 
   // Handle disconnect
   // IMPORTANT: Notify backend about disconnections during active calls
-  // FAIL-SAFE: Instantly stop billing and clear expert status
+  // Calls in progress get a grace window to rejoin before billing is stopped
   async handleDisconnect(socket) {
-    const userData = rooms.removeSocket(socket.id);
+    const userData = await rooms.removeSocket(socket.id);
+    this.activityWrites.delete(socket.id);
+    await attachments.abortSocket(socket.id);
 
     if (userData && userData.userType === 'expert') {
       // Expert disconnected: do NOT change DB isOnline (toggle is source of truth).
-      // Also do NOT broadcast isOnline=false here, as refresh would incorrectly flip UI.
       logger.info(`Expert disconnected (DB status unchanged): ${userData.userId}`);
+
+      // Report offline only if no device comes back shortly (a page refresh must not flip the UI)
+      if (userData.lastDevice) {
+        setTimeout(() => {
+          this.broadcastPresence(userData.userId, 'disconnected')
+            .catch(error => logger.error('Presence broadcast failed:', error.message));
+        }, OFFLINE_BROADCAST_DELAY);
+      }
+    }
+
+    if (userData && !userData.lastDevice) {
+      // Other devices are still connected, so the person is not going offline
+      logger.info(`Device disconnected, other devices still connected: ${userData.userId}`);
+    }
+
+    // A caller waiting in a queue gives up their place
+    if (userData && userData.userType === 'user') {
+      await this.removeQueuedSocket(socket.id);
     }
 
     // Clean up any active calls this socket was part of
-    // CRITICAL: Process all active calls immediately for instant sync
     const disconnectPromises = [];
 
-    for (const [callId, call] of rooms.activeCalls) {
-      if (call.userSocketId === socket.id || call.expertSocketId === socket.id) {
-        logger.warn(`🚨 DISCONNECT DETECTED during active call: ${callId}`);
-
-        const isUserDisconnect = call.userSocketId === socket.id;
-        const isExpertDisconnect = call.expertSocketId === socket.id;
-
-        // INSTANT NOTIFICATION: Notify other party IMMEDIATELY (within milliseconds)
-        const otherSocketId = isUserDisconnect ? call.expertSocketId : call.userSocketId;
-        if (otherSocketId) {
-          this.io.to(otherSocketId).emit('call_ended', {
-            callId,
-            reason: 'Other party disconnected',
-            duration: rooms.getCallDuration(callId),
-            disconnectType: isUserDisconnect ? 'user' : 'expert'
-          });
-          logger.info(`⚡ Instant notification sent to other party (socket: ${otherSocketId})`);
-        }
+    for (const call of await rooms.getAllActiveCalls()) {
+      const { callId } = call;
 
-        // INSTANT BROADCAST: Notify all clients that expert is no longer busy
-        if (call.expertId) {
-          this.io.emit('expert_busy_changed', {
-            expertId: call.expertId,
-            isBusy: false
-          });
-          logger.info(`⚡ Instant expert busy status cleared: ${call.expertId}`);
-        }
+      // A guest dropping out leaves the call without ending it
+      const guest = Object.values(call.participants || {}).find(p => p.status === 'joined' && p.socketId === socket.id);
+      if (guest) {
+        logger.warn(`Conference guest disconnected from call ${callId}`, { participant: guest.userId });
+        await this.removeGuest(callId, guest.userId, socket.id, 'disconnected');
+        continue;
+      }
 
-        // FAIL-SAFE BILLING STOP: Force end call in backend (stops billing immediately)
-        const backendPromise = (async () => {
-          try {
-            logger.info(`💰 STOPPING BILLING - Force ending call in backend: ${callId}`);
-            const response = await axios.post(
-              `${BACKEND_URL}/api/calls/internal/end-call/${callId}`,
-              { reason: 'socket_disconnect' },
-              { timeout: 5000 } // 5 second timeout for fail-safe
-            );
-            logger.info(`✅ Backend billing stopped successfully for call ${callId}`);
-            return { success: true, callId };
-          } catch (err) {
-            logger.error(`❌ CRITICAL: Failed to stop billing for call ${callId}:`, err.message);
-            // Even if backend fails, we still clear local state to prevent stuck calls
-            return { success: false, callId, error: err.message };
-          }
-        })();
+      // With no device left, nobody can answer an invite still ringing
+      if (userData && userData.lastDevice && (call.participants || {})[userData.userId]?.status === 'invited') {
+        await this.expireInvite(callId, userData.userId, 'invitee_disconnected');
+        continue;
+      }
+
+      if (call.userSocketId !== socket.id && call.expertSocketId !== socket.id) {
+        continue;
+      }
 
-        disconnectPromises.push(backendPromise);
+      const party = call.userSocketId === socket.id ? 'user' : 'expert';
+      logger.warn(`🚨 DISCONNECT DETECTED during active call: ${callId}`, { party, status: call.status });
+
+      // Hold the call open and give the dropped participant a chance to come back with call:rejoin
+      // Decided on the stored call: the socket may already have been replaced by a rejoin
+      let endNow = false;
+      const updated = await rooms.updateCall(callId, (current) => {
+        const socketId = party === 'user' ? current.userSocketId : current.expertSocketId;
+        if (socketId !== socket.id) return false;
+
+        // Ringing calls end right away; so does a call whose other party is already reconnecting
+        endNow = !RECONNECTABLE_STATUSES.includes(current.status);
+        if (endNow) return false;
+
+        current.reconnecting = {
+          party,
+          previousStatus: current.status,
+          since: Date.now(),
+          deadline: Date.now() + RECONNECT_GRACE_PERIOD
+        };
+        transition(current, 'reconnecting', { reason: 'socket_disconnect', party });
+      });
+      if (endNow) {
+        disconnectPromises.push(this.endCallAfterDisconnect(callId, party));
+        continue;
+      }
+      if (!updated) {
+        continue;
+      }
 
-        // INSTANT LOCAL CLEANUP: Remove call from socket rooms immediately
-        rooms.endCall(callId);
+      const otherSocketIds = this.callSocketIds(updated, socket.id);
+      if (otherSocketIds.length > 0) {
+        this.io.to(otherSocketIds).emit('call:peer_reconnecting', {
+          callId,
+          party,
+          gracePeriodMs: RECONNECT_GRACE_PERIOD
+        });
+      }
 
-        // Clear any pending timeouts
-        if (this.callTimeouts.has(callId)) {
-          clearTimeout(this.callTimeouts.get(callId));
-          this.callTimeouts.delete(callId);
-          logger.info(`⏱️ Cleared call timeout for ${callId}`);
+      const { deadline } = updated.reconnecting;
+      const timer = setTimeout(async () => {
+        this.reconnectTimers.delete(callId);
+        try {
+          const result = await this.endCallAfterDisconnect(callId, party, deadline);
+          if (!result.skipped) {
+            logger.warn(`⌛ Reconnect window expired for call ${callId}`, { party });
+          }
+        } catch (error) {
+          logger.error(`❌ Failed to end call ${callId} after reconnect window:`, error.message);
         }
+      }, RECONNECT_GRACE_PERIOD);
+      this.reconnectTimers.set(callId, timer);
 
-        logger.info(`🧹 Local call cleanup completed for ${callId}`);
-      }
+      logger.callEvent('call_reconnecting', { callId, party, gracePeriodMs: RECONNECT_GRACE_PERIOD });
     }
 
     // Wait for all backend calls to complete (with timeout protection)
@@ -840,7 +2829,8 @@ class EventHandler {
       });
     }
 
-    logger.connection(socket.id, userData?.userId || 'unknown', 'disconnected');
+    // Logged once cleanup is done, for every socket (removeSocket only knows registered ones)
+    logger.disconnection(socket.id, userData?.userId || 'unknown');
   }
 }
 
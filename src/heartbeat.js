@@ -3,11 +3,10 @@
  * THIS IS CRITICAL: Prevents experts from staying BUSY forever
  */
 
-const axios = require('axios');
+const backend = require('./backendClient');
 const logger = require('./utils/logger');
 const rooms = require('./rooms');
 
-const API_BASE_URL = process.env.API_BASE_URL || 'https://api.abbaslogic.com';
 const HEARTBEAT_INTERVAL = 15000; // 15 seconds
 
 class HeartbeatManager {
@@ -39,8 +38,8 @@ class HeartbeatManager {
   async performSync() {
     try {
       // Get all active socket connections
-      const onlineExperts = rooms.getAllOnlineExperts();
-      const activeCalls = rooms.getAllActiveCalls();
+      const onlineExperts = await rooms.getAllOnlineExperts();
+      const activeCalls = await rooms.getAllActiveCalls();
 
       logger.info(`Heartbeat: ${onlineExperts.length} experts online, ${activeCalls.length} active calls`);
 
@@ -56,15 +55,10 @@ class HeartbeatManager {
   async syncExpertStatus(onlineExperts) {
     try {
       // Send list of actually online experts to backend for monitoring
-      const response = await axios.post(`${API_BASE_URL}/api/experts/sync-online-status`, {
+      const response = await backend.post('/api/experts/sync-online-status', {
         onlineExpertIds: onlineExperts,
         timestamp: Date.now()
-      }, {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 5000
-      });
+      }, { retry: true });
 
       // Log any discrepancies found (but don't auto-correct)
       if (response.data.discrepancies && response.data.discrepancies > 0) {
@@ -85,23 +79,18 @@ class HeartbeatManager {
         return;
       }
 
-      const response = await axios.post(`${API_BASE_URL}/api/calls/sync-active-calls`, {
+      const response = await backend.post('/api/calls/sync-active-calls', {
         activeCallIds: callIds,
         timestamp: Date.now()
-      }, {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 5000
-      });
+      }, { retry: true });
 
       if (response.data.cleanedCalls && response.data.cleanedCalls.length > 0) {
         logger.info(`Heartbeat cleaned ${response.data.cleanedCalls.length} stale calls`);
         
         // Clean up local state for cleaned calls
-        response.data.cleanedCalls.forEach(callId => {
-          rooms.endCall(callId);
-        });
+        for (const callId of response.data.cleanedCalls) {
+          await rooms.endCall(callId);
+        }
       }
 
     } catch (error) {
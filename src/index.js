@@ -8,7 +8,17 @@ const express = require('express');
 const http = require('http');
 const cors = require('cors');
 const { initializeSocket } = require('./socket');
+const { createAdminRouter } = require('./admin');
 const HeartbeatManager = require('./heartbeat');
+const { createStateBackend } = require('./store');
+const rooms = require('./rooms');
+const rateLimiter = require('./rateLimiter');
+const backend = require('./backendClient');
+const outbox = require('./outbox');
+const scheduler = require('./scheduler');
+const attachments = require('./attachments');
+const metrics = require('./metrics');
+const webhooks = require('./webhooks');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -25,26 +35,54 @@ app.use(cors({
 app.use(express.json());
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  const rooms = require('./rooms');
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    stats: rooms.getStats()
-  });
+app.get('/health', async (req, res) => {
+  try {
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      stats: await rooms.getStats(),
+      rateLimits: rateLimiter.getStats(),
+      backend: backend.getState(),
+      outbox: outbox.getStats(),
+      appointments: scheduler.getStats(),
+      attachments: attachments.getStats(),
+      webhooks: webhooks.getStats()
+    });
+  } catch (error) {
+    logger.error('Health check failed:', error.message);
+    res.status(503).json({ status: 'unhealthy', error: 'State store unavailable' });
+  }
+});
+
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Metrics collection failed:', error.message);
+    res.status(500).end();
+  }
 });
 
 // Get active calls (for backend sync)
-app.get('/active-calls', (req, res) => {
-  const rooms = require('./rooms');
-  const activeCalls = rooms.getAllActiveCalls();
-  res.json({
-    success: true,
-    activeCalls,
-    count: activeCalls.length
-  });
+app.get('/active-calls', async (req, res) => {
+  try {
+    const activeCalls = await rooms.getAllActiveCalls();
+    res.json({
+      success: true,
+      activeCalls,
+      count: activeCalls.length
+    });
+  } catch (error) {
+    logger.error('Failed to list active calls:', error.message);
+    res.status(503).json({ success: false, error: 'State store unavailable' });
+  }
 });
 
+// Chat attachment downloads (socket JWT as Bearer header)
+app.use('/attachments', attachments.createAttachmentRouter(attachments));
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -54,38 +92,61 @@ app.get('/', (req, res) => {
   });
 });
 
-// Initialize Socket.IO
-const io = initializeSocket(server);
+const PORT = process.env.PORT || 10000;
 
-// Initialize Heartbeat System (CRITICAL FOR STATE SYNC)
-const heartbeat = new HeartbeatManager(io);
-heartbeat.start();
-logger.info('Heartbeat system initialized');
+let heartbeat = null;
+let stateBackend = null;
 
-// Start server
-const PORT = process.env.PORT || 10000;
+async function start() {
+  // Shared state must be ready before the first socket registers
+  stateBackend = await createStateBackend();
+  rooms.useStore(stateBackend.store);
 
-server.listen(PORT, () => {
-  logger.info(`Socket server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`Client URL: ${process.env.CLIENT_URL || '*'}`);
-});
+  // Replay undelivered billing requests from before the restart
+  outbox.start();
+  // Initialize Socket.IO
+  const { io, eventHandler } = initializeSocket(server, { adapter: stateBackend.adapter });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, closing server...');
-  heartbeat.stop();
-  server.close(() => {
-    logger.info('Server closed');
-    process.exit(0);
+  // Admin API needs the live Socket.IO server and call handlers
+  app.use('/admin', createAdminRouter({ io, eventHandler }));
+
+  // Scheduled calls ring through the call handlers, so they start once those exist
+  scheduler.start(eventHandler);
+
+  // Drops idle uploads and expired files
+  attachments.start();
+
+  // Initialize Heartbeat System (CRITICAL FOR STATE SYNC)
+  heartbeat = new HeartbeatManager(io);
+  heartbeat.start();
+  logger.info('Heartbeat system initialized');
+
+  // Start server
+  server.listen(PORT, () => {
+    logger.info(`Socket server running on port ${PORT}`);
+    logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`Client URL: ${process.env.CLIENT_URL || '*'}`);
   });
+}
+
+start().catch((error) => {
+  logger.error('Failed to start socket server:', error.message);
+  process.exit(1);
 });
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, closing server...');
-  heartbeat.stop();
-  server.close(() => {
+// Graceful shutdown
+function shutdown(signal) {
+  logger.info(`${signal} received, closing server...`);
+  if (heartbeat) heartbeat.stop();
+  attachments.stop();
+  server.close(async () => {
+    await outbox.stop();
+    await scheduler.stop();
+    if (stateBackend) await stateBackend.close();
     logger.info('Server closed');
     process.exit(0);
   });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
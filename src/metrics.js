@@ -0,0 +1,115 @@
+/**
+ * Prometheus metrics
+ * Served in text format on GET /metrics; values are per instance
+ */
+
+const client = require('prom-client');
+
+const PREFIX = 'consultoncall_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const callsTotal = new client.Counter({
+  name: `${PREFIX}calls_total`,
+  help: 'Calls by outcome (connected, missed, rejected, disconnect, autocut, no_show)',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+const ringToAnswerSeconds = new client.Histogram({
+  name: `${PREFIX}call_ring_to_answer_seconds`,
+  help: 'Time from call:initiate to the expert accepting',
+  buckets: [1, 2, 5, 10, 15, 20, 30, 45, 60],
+  registers: [register]
+});
+
+const callDurationSeconds = new client.Histogram({
+  name: `${PREFIX}call_duration_seconds`,
+  help: 'Duration of connected calls from connect to end',
+  buckets: [10, 30, 60, 120, 300, 600, 900, 1800, 3600],
+  registers: [register]
+});
+
+const backendRequestSeconds = new client.Histogram({
+  name: `${PREFIX}backend_request_duration_seconds`,
+  help: 'Backend API request latency per endpoint (one observation per attempt)',
+  labelNames: ['method', 'endpoint', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const backendErrorsTotal = new client.Counter({
+  name: `${PREFIX}backend_request_errors_total`,
+  help: 'Failed backend API requests per endpoint',
+  labelNames: ['method', 'endpoint', 'reason'],
+  registers: [register]
+});
+
+const socketsConnected = new client.Gauge({
+  name: `${PREFIX}sockets_connected`,
+  help: 'Connected sockets on this instance by role',
+  labelNames: ['role'],
+  registers: [register]
+});
+
+const socketEventsTotal = new client.Counter({
+  name: `${PREFIX}socket_events_total`,
+  help: 'Client socket events received, by event name and result',
+  labelNames: ['event', 'result'],
+  registers: [register]
+});
+
+// Collapse ids in a backend path so each endpoint is one label value
+// /api/calls/ringing/abc123?x=1 -> /api/calls/ringing/:id
+function endpointLabel(path) {
+  return path
+    .split('?')[0]
+    .split('/')
+    .map(segment => (/\d/.test(segment) || segment.length >= 20 ? ':id' : segment))
+    .join('/');
+}
+
+function recordCallOutcome(outcome) {
+  callsTotal.inc({ outcome });
+}
+
+function observeRingToAnswer(ms) {
+  ringToAnswerSeconds.observe(ms / 1000);
+}
+
+function observeCallDuration(ms) {
+  callDurationSeconds.observe(ms / 1000);
+}
+
+function observeBackendRequest(method, path, status, ms) {
+  backendRequestSeconds.observe({ method, endpoint: endpointLabel(path), status: String(status) }, ms / 1000);
+}
+
+function recordBackendError(method, path, reason) {
+  backendErrorsTotal.inc({ method, endpoint: endpointLabel(path), reason });
+}
+
+function socketConnected(role) {
+  socketsConnected.inc({ role: role || 'unknown' });
+}
+
+function socketDisconnected(role) {
+  socketsConnected.dec({ role: role || 'unknown' });
+}
+
+function recordSocketEvent(event, result) {
+  socketEventsTotal.inc({ event, result });
+}
+
+module.exports = {
+  register,
+  recordCallOutcome,
+  observeRingToAnswer,
+  observeCallDuration,
+  observeBackendRequest,
+  recordBackendError,
+  socketConnected,
+  socketDisconnected,
+  recordSocketEvent
+};
@@ -0,0 +1,316 @@
+/**
+ * Durable outbox for billing-critical backend requests
+ * Requests are appended to a local file before they are sent and retried until the backend acknowledges them,
+ * so a backend outage or a restart cannot leave a call billing after it ended
+ *
+ * File format: one JSON record per line
+ *   { op: 'enqueue', key, method, path, data, createdAt }
+ *   { op: 'attempt', key, attempts, nextAttemptAt, lastError }
+ *   { op: 'delivered', key }   (compaction rewrites one per remembered delivered key, so dedupe survives restarts)
+ *   { op: 'failed', key, lastError }
+ *   { op: 'dropped', key }     (oldest failed entry let go to keep the failed list bounded)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const backend = require('./backendClient');
+const logger = require('./utils/logger');
+
+const OUTBOX_FILE = process.env.OUTBOX_FILE || path.join(process.cwd(), 'data', 'outbox.log');
+
+// Retry backoff: base * 2^attempt, capped
+const RETRY_BASE_DELAY = parseInt(process.env.OUTBOX_RETRY_BASE_MS, 10) || 1000;
+const RETRY_MAX_DELAY = parseInt(process.env.OUTBOX_RETRY_MAX_MS, 10) || 5 * 60 * 1000;
+
+// Give up (entry becomes failed) after this many attempts; ~8 hours at the default cap
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 100;
+
+const POLL_INTERVAL = 1000;
+
+// Rewrite the file once this many settled records have piled up
+const COMPACT_AFTER = 500;
+
+// Delivered keys remembered for dedupe, kept through compaction and restarts
+const DELIVERED_MEMORY = 1000;
+
+// Failed entries kept for inspection; beyond this the oldest is dropped (its key still dedupes)
+const MAX_FAILED = parseInt(process.env.OUTBOX_MAX_FAILED, 10) || 1000;
+
+// 4xx (except 408/429) means the backend saw the request and refused it; sending it again will not help
+function isPermanentError(error) {
+  const status = error.response && error.response.status;
+  return Boolean(status) && status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+class Outbox {
+  constructor(file = OUTBOX_FILE) {
+    this.file = file;
+
+    // key -> { key, method, path, data, createdAt, attempts, nextAttemptAt, lastError }
+    this.pending = new Map();
+    this.failed = new Map();
+
+    // Recently delivered (or dropped) keys, oldest first
+    this.delivered = new Set();
+
+    this.settledRecords = 0;
+    this.writeChain = Promise.resolve();
+    this.flushing = false;
+    this.interval = null;
+
+    this.stats = {
+      enqueued: 0,
+      duplicates: 0,
+      delivered: 0,
+      failed: 0,
+      dropped: 0,
+      retries: 0
+    };
+  }
+
+  // Load pending entries from disk and start delivering (called once at startup)
+  start() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this._load();
+    this._trimFailed();
+    this._compact();
+
+    if (this.pending.size > 0 || this.failed.size > 0) {
+      logger.warn(`📮 Outbox restored ${this.pending.size} pending and ${this.failed.size} failed requests`);
+    }
+
+    this.interval = setInterval(() => this.flush(), POLL_INTERVAL);
+    this.interval.unref();
+    this.flush();
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    return this.writeChain;
+  }
+
+  // Replay the record log into memory
+  _load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A torn last line from a crash mid-write; everything before it is intact
+        logger.warn('Skipping unreadable outbox record');
+        continue;
+      }
+
+      const { op, key } = record;
+      if (op === 'enqueue') {
+        const { op: _op, ...entry } = record;
+        this.pending.set(key, { attempts: 0, nextAttemptAt: 0, lastError: null, ...entry });
+      } else if (op === 'attempt' && this.pending.has(key)) {
+        Object.assign(this.pending.get(key), {
+          attempts: record.attempts,
+          nextAttemptAt: record.nextAttemptAt,
+          lastError: record.lastError
+        });
+      } else if (op === 'delivered') {
+        this.pending.delete(key);
+        this._rememberDelivered(key);
+      } else if (op === 'failed' && this.pending.has(key)) {
+        const entry = this.pending.get(key);
+        this.pending.delete(key);
+        this.failed.set(key, { ...entry, lastError: record.lastError });
+      } else if (op === 'dropped') {
+        this.failed.delete(key);
+        this._rememberDelivered(key);
+      }
+    }
+  }
+
+  // Rewrite the file with only live entries
+  _compact() {
+    const lines = [...this.delivered].map(key => JSON.stringify({ op: 'delivered', key }));
+    for (const entry of [...this.pending.values(), ...this.failed.values()]) {
+      const { attempts, nextAttemptAt, lastError, ...request } = entry;
+      lines.push(JSON.stringify({ op: 'enqueue', ...request }));
+      if (attempts > 0) {
+        lines.push(JSON.stringify({ op: 'attempt', key: entry.key, attempts, nextAttemptAt, lastError }));
+      }
+      if (this.failed.has(entry.key)) {
+        lines.push(JSON.stringify({ op: 'failed', key: entry.key, lastError }));
+      }
+    }
+
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmp, this.file);
+    this.settledRecords = 0;
+  }
+
+  // Append a record; writes are serialized so the log stays in order
+  // Rejects if this record could not be written; later records are still attempted
+  _append(record) {
+    const write = this.writeChain.then(() => fs.promises.appendFile(this.file, JSON.stringify(record) + '\n'));
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+
+  // Append a state change for an entry already in memory; a failed write is logged, not thrown
+  async _record(record) {
+    try {
+      await this._append(record);
+    } catch (error) {
+      logger.error('❌ CRITICAL: Failed to write outbox record:', error.message);
+    }
+  }
+
+  // Let go of the oldest failed entries beyond MAX_FAILED
+  _trimFailed() {
+    const dropped = [];
+    while (this.failed.size > MAX_FAILED) {
+      const key = this.failed.keys().next().value;
+      this.failed.delete(key);
+      this._rememberDelivered(key);
+      this.stats.dropped++;
+      dropped.push(key);
+    }
+    return dropped;
+  }
+
+  _rememberDelivered(key) {
+    this.delivered.delete(key);
+    this.delivered.add(key);
+    if (this.delivered.size > DELIVERED_MEMORY) {
+      this.delivered.delete(this.delivered.values().next().value);
+    }
+  }
+
+  // Queue a request for delivery; the same callId + action is only ever sent once
+  // Resolves once the request is on disk; rejects if it could not be written
+  // (it is still sent from memory, but would not survive a restart)
+  async enqueue({ callId, action, method, path: requestPath, data = {} }) {
+    const key = `${callId}:${action}`;
+
+    if (this.pending.has(key) || this.failed.has(key) || this.delivered.has(key)) {
+      this.stats.duplicates++;
+      logger.info('Outbox request already queued', { key });
+      return { queued: false, duplicate: true, key };
+    }
+
+    const entry = {
+      key,
+      method,
+      path: requestPath,
+      data,
+      createdAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null
+    };
+    this.pending.set(key, entry);
+    this.stats.enqueued++;
+
+    const { attempts, nextAttemptAt, lastError, ...request } = entry;
+    await this._append({ op: 'enqueue', ...request });
+
+    this.flush();
+    return { queued: true, key };
+  }
+
+  // Send every due entry once
+  async flush() {
+    if (this.flushing) return;
+    this.flushing = true;
+
+    try {
+      const now = Date.now();
+      for (const entry of [...this.pending.values()]) {
+        if (entry.nextAttemptAt <= now) {
+          await this._deliver(entry);
+        }
+      }
+
+      if (this.settledRecords >= COMPACT_AFTER) {
+        await this.writeChain;
+        this._compact();
+      }
+    } catch (error) {
+      logger.error('Outbox flush error:', error.message);
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  async _deliver(entry) {
+    try {
+      // The outbox does its own retrying, so a single attempt per pass
+      await backend.request(entry.method, entry.path, entry.data, { retry: false });
+
+      this.pending.delete(entry.key);
+      this._rememberDelivered(entry.key);
+      this.stats.delivered++;
+      this.settledRecords++;
+      await this._record({ op: 'delivered', key: entry.key });
+
+      logger.info(`📮 Outbox delivered ${entry.method.toUpperCase()} ${entry.path}`, { key: entry.key, attempts: entry.attempts + 1 });
+    } catch (error) {
+      entry.attempts++;
+      entry.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+
+      if (isPermanentError(error) || entry.attempts >= MAX_ATTEMPTS) {
+        this.pending.delete(entry.key);
+        this.failed.set(entry.key, entry);
+        this.stats.failed++;
+        this.settledRecords++;
+        await this._record({ op: 'failed', key: entry.key, lastError: entry.lastError });
+        for (const key of this._trimFailed()) {
+          this.settledRecords++;
+          await this._record({ op: 'dropped', key });
+          logger.warn('📮 Outbox dropped its oldest failed request', { key, maxFailed: MAX_FAILED });
+        }
+
+        logger.error(`❌ CRITICAL: Outbox gave up on ${entry.method.toUpperCase()} ${entry.path}`, {
+          key: entry.key,
+          attempts: entry.attempts,
+          error: entry.lastError
+        });
+        return;
+      }
+
+      const delay = Math.min(RETRY_BASE_DELAY * 2 ** (entry.attempts - 1), RETRY_MAX_DELAY);
+      entry.nextAttemptAt = Date.now() + delay;
+      this.stats.retries++;
+      await this._record({
+        op: 'attempt',
+        key: entry.key,
+        attempts: entry.attempts,
+        nextAttemptAt: entry.nextAttemptAt,
+        lastError: entry.lastError
+      });
+
+      logger.warn(`📮 Outbox ${entry.method.toUpperCase()} ${entry.path} failed, retrying in ${delay}ms`, {
+        key: entry.key,
+        attempts: entry.attempts,
+        error: entry.lastError
+      });
+    }
+  }
+
+  getStats() {
+    return {
+      pending: this.pending.size,
+      failed: this.failed.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new Outbox();
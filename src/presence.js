@@ -0,0 +1,51 @@
+/**
+ * Expert presence
+ * Single place that decides an expert's effective presence and whether they can take a call
+ *
+ *   offline         - no connected device, or the expert chose to appear offline
+ *   busy            - on a ringing, accepted, connected or reconnecting call (never set by hand)
+ *   away            - set by the expert, or automatically after EXPERT_AWAY_AFTER_MS without activity
+ *   do_not_disturb  - set by the expert
+ *   available       - connected and free
+ */
+
+const PRESENCE_STATES = {
+  AVAILABLE: 'available',
+  BUSY: 'busy',
+  AWAY: 'away',
+  DO_NOT_DISTURB: 'do_not_disturb',
+  OFFLINE: 'offline'
+};
+
+// States an expert can choose with expert:set_presence
+const SETTABLE_STATES = ['available', 'away', 'do_not_disturb', 'offline'];
+
+// Why a call to an expert in each state is refused
+const REFUSALS = {
+  offline: { code: 'expert_offline', message: 'Expert is currently offline. Please try again later.' },
+  busy: { code: 'expert_busy', message: 'Expert is currently on another call. Please try again later.' },
+  away: { code: 'expert_away', message: 'Expert is away at the moment. Please try again later.' },
+  do_not_disturb: { code: 'expert_do_not_disturb', message: 'Expert is not taking calls right now.' }
+};
+
+// Effective presence from connection, call and chosen state
+// record is the stored { state, auto, since, lastActivityAt } or null
+function resolvePresence({ connected, busy, record }) {
+  if (!connected) return PRESENCE_STATES.OFFLINE;
+  const chosen = (record && record.state) || PRESENCE_STATES.AVAILABLE;
+  if (chosen === PRESENCE_STATES.OFFLINE) return PRESENCE_STATES.OFFLINE;
+  if (busy) return PRESENCE_STATES.BUSY;
+  return chosen;
+}
+
+// { code, message } for a presence that cannot take calls, null when available
+function refusalFor(presence) {
+  return REFUSALS[presence] || null;
+}
+
+module.exports = {
+  PRESENCE_STATES,
+  SETTABLE_STATES,
+  resolvePresence,
+  refusalFor
+};
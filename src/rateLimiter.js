@@ -0,0 +1,160 @@
+/**
+ * Token-bucket rate limiting for socket events
+ * Each event is limited per socket and per registered identity (across all of its devices)
+ * Counters are per instance
+ */
+
+const logger = require('./utils/logger');
+
+// capacity = burst size, refillPerSec = sustained rate
+const DEFAULT_LIMITS = {
+  'call:initiate': { capacity: 3, refillPerSec: 0.1 },
+  'call:invite': { capacity: 5, refillPerSec: 0.2 },
+  'call:transfer': { capacity: 5, refillPerSec: 0.2 },
+  send_message: { capacity: 20, refillPerSec: 2 },
+  'chat:join': { capacity: 10, refillPerSec: 1 },
+  'attachment:start': { capacity: 5, refillPerSec: 0.5 },
+  'attachment:chunk': { capacity: 40, refillPerSec: 20 },
+  typing: { capacity: 10, refillPerSec: 2 },
+  offer: { capacity: 10, refillPerSec: 1 },
+  answer: { capacity: 10, refillPerSec: 1 },
+  ice_candidate: { capacity: 100, refillPerSec: 20 },
+  default: { capacity: 30, refillPerSec: 10 }
+};
+
+// Legacy names share a bucket with their namespaced equivalent
+const EVENT_BUCKETS = {
+  call_request: 'call:initiate'
+};
+
+// Strikes: rejected events within the window before the socket is disconnected
+const STRIKE_WINDOW = parseInt(process.env.RATE_LIMIT_STRIKE_WINDOW_MS, 10) || 60000;
+const MAX_STRIKES = parseInt(process.env.RATE_LIMIT_MAX_STRIKES, 10) || 20;
+
+// Idle identity buckets are dropped after this long
+const BUCKET_IDLE_TTL = 10 * 60 * 1000;
+
+// RATE_LIMITS='{"send_message":{"capacity":10,"refillPerSec":1}}' overrides single events
+function loadLimits() {
+  if (!process.env.RATE_LIMITS) {
+    return DEFAULT_LIMITS;
+  }
+  try {
+    return { ...DEFAULT_LIMITS, ...JSON.parse(process.env.RATE_LIMITS) };
+  } catch (error) {
+    logger.error('Invalid RATE_LIMITS, using defaults:', error.message);
+    return DEFAULT_LIMITS;
+  }
+}
+
+class RateLimiter {
+  constructor(limits = loadLimits()) {
+    this.limits = limits;
+
+    // key -> { tokens, updatedAt }
+    this.buckets = new Map();
+
+    // socketId -> [strike timestamps]
+    this.strikes = new Map();
+
+    this.stats = {
+      allowed: 0,
+      limited: 0,
+      disconnects: 0,
+      limitedByEvent: {}
+    };
+
+    this.sweepInterval = setInterval(() => this.sweep(), BUCKET_IDLE_TTL);
+    this.sweepInterval.unref();
+  }
+
+  _limitFor(bucketName) {
+    return this.limits[bucketName] || this.limits.default;
+  }
+
+  // Take one token from a bucket; returns ms until a token is available if empty
+  _take(key, limit, now) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: limit.capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsed * limit.refillPerSec);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - bucket.tokens) / limit.refillPerSec) * 1000);
+  }
+
+  // Check an event from a socket against both its socket and identity buckets
+  // Returns { allowed: true } or { allowed: false, retryAfterMs, disconnect }
+  consume(socket, event) {
+    const now = Date.now();
+    const bucketName = EVENT_BUCKETS[event] || event;
+    const limit = this._limitFor(bucketName);
+
+    let retryAfterMs = this._take(`socket:${socket.id}:${bucketName}`, limit, now);
+
+    const { userId, userType } = socket.data || {};
+    if (retryAfterMs === 0 && userId) {
+      retryAfterMs = this._take(`identity:${userType}:${userId}:${bucketName}`, limit, now);
+    }
+
+    if (retryAfterMs === 0) {
+      this.stats.allowed++;
+      return { allowed: true };
+    }
+
+    this.stats.limited++;
+    this.stats.limitedByEvent[bucketName] = (this.stats.limitedByEvent[bucketName] || 0) + 1;
+
+    // Repeat offenders get disconnected
+    const recent = (this.strikes.get(socket.id) || []).filter(t => now - t < STRIKE_WINDOW);
+    recent.push(now);
+    this.strikes.set(socket.id, recent);
+
+    const disconnect = recent.length >= MAX_STRIKES;
+    if (disconnect) {
+      this.stats.disconnects++;
+      logger.warn('Rate limit strikes exceeded, disconnecting socket', { socketId: socket.id, userId, event });
+    }
+
+    return { allowed: false, retryAfterMs, disconnect };
+  }
+
+  // Forget per-socket state (identity buckets stay so reconnecting does not reset them)
+  removeSocket(socketId) {
+    this.strikes.delete(socketId);
+    const prefix = `socket:${socketId}:`;
+    for (const key of this.buckets.keys()) {
+      if (key.startsWith(prefix)) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  // Drop buckets that have been idle long enough to be full again
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updatedAt > BUCKET_IDLE_TTL) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      limitedByEvent: { ...this.stats.limitedByEvent },
+      activeBuckets: this.buckets.size
+    };
+  }
+}
+
+module.exports = new RateLimiter();
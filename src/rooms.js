@@ -1,86 +1,222 @@
 /**
- * In-memory storage for socket connections and active calls
+ * Socket connection and active call state
+ * Backed by a pluggable store (in-memory by default, Redis for multi-instance)
  */
 
 const logger = require('./utils/logger');
+const MemoryStore = require('./store/memoryStore');
+const callStateMachine = require('./callStateMachine');
+const { resolvePresence } = require('./presence');
+const metrics = require('./metrics');
 
-class RoomManager {
-  constructor() {
-    // userId -> socketId mapping
-    this.userSockets = new Map();
+// Store collection names
+const CONNECTED_USERS = 'connectedUsers'; // Set of userIds with at least one socket
+const CONNECTED_EXPERTS = 'connectedExperts'; // Set of expertIds with at least one socket
+const SOCKET_TO_USER = 'socketToUser'; // socketId -> { userId, userType }
+const ACTIVE_CALLS = 'activeCalls'; // callId -> { userId, expertId, userSocketId, expertSocketId, status, startTime, participants? }
+const CALL_CLAIMS = 'callClaims'; // callId -> socketId of the expert device that answered
+const TRANSFER_CLAIMS = 'transferClaims'; // callId -> socketId of the target expert device that took a transfer
+const ONLINE_EXPERTS = 'onlineExperts'; // Set of online expertIds
+const EXPERT_PRESENCE = 'expertPresence'; // expertId -> { state, auto, since, lastActivityAt }
+const PRESENCE_BROADCASTS = 'presenceBroadcasts'; // expertId -> last broadcast effective presence
+const OFFLINE_MESSAGES = 'offlineMessages'; // recipientId -> [{ message, bytes, queuedAt, expiresAt }] oldest first
+const CHAT_HISTORY = 'chatHistory'; // chatId -> [message] oldest first, capped and expired by the event handler
+const MESSAGE_RECEIPTS = 'messageReceipts'; // messageId -> { senderId, receiverId, chatId, status, sentAt, deliveredAt, expiresAt }
+const CALL_QUEUES = 'callQueues'; // expertId -> [{ callId, userId, userSocketId, enqueuedAt, expiresAt }] in ring order
+const QUEUE_RING_CLAIMS = 'queueRingClaims'; // expertId -> { owner, expiresAt, again } while a queued caller is being rung
+
+// Call statuses that keep every expert on the call busy
+const BUSY_CALL_STATUSES = ['ringing', 'accepted', 'connected', 'reconnecting'];
 
-    // expertId -> socketId mapping
-    this.expertSockets = new Map();
+// Per-identity socket sets (one entry per device)
+const userSocketsKey = (userId) => `userSockets:${userId}`;
+const expertSocketsKey = (expertId) => `expertSockets:${expertId}`;
+// Per-expert set of callIds the expert has been part of, so busy checks do not scan every call
+// Entries are added on every call write and dropped when the call ends (or found gone on read)
+const expertCallsKey = (expertId) => `expertCalls:${expertId}`;
 
-    // socketId -> { userId, userType } mapping
-    this.socketToUser = new Map();
+// How an expert is part of a call right now: 'expert', 'guest', 'transfer' or null
+function expertRole(call, expertId) {
+  const guest = call.participants && call.participants[expertId];
+  if (call.expertId === expertId) return 'expert';
+  if (guest && ['invited', 'joined'].includes(guest.status)) return 'guest';
+  if (call.transfer && call.transfer.targetExpertId === expertId) return 'transfer';
+  return null;
+}
 
-    // callId -> { userId, expertId, userSocketId, expertSocketId, status, startTime } mapping
-    this.activeCalls = new Map();
+// Experts a call currently counts against
+function callExpertIds(call) {
+  const expertIds = [call.expertId];
+  for (const [userId, guest] of Object.entries(call.participants || {})) {
+    if (['invited', 'joined'].includes(guest.status)) expertIds.push(userId);
+  }
+  if (call.transfer && call.transfer.targetExpertId) expertIds.push(call.transfer.targetExpertId);
+  return [...new Set(expertIds.filter(Boolean))];
+}
+
+class RoomManager {
+  constructor(store = new MemoryStore()) {
+    this.store = store;
+  }
 
-    // expertId -> Set of online experts
-    this.onlineExperts = new Set();
+  // Swap the backing store (called once at startup before any socket connects)
+  useStore(store) {
+    this.store = store;
   }
 
-  // Register user socket connection
-  registerUser(userId, socketId) {
-    this.userSockets.set(userId, socketId);
-    this.socketToUser.set(socketId, { userId, userType: 'user' });
+  // Register user socket connection (one of possibly several devices)
+  async registerUser(userId, socketId) {
+    await this.store.setAdd(userSocketsKey(userId), socketId);
+    await this.store.setAdd(CONNECTED_USERS, userId);
+    await this.store.hashSet(SOCKET_TO_USER, socketId, { userId, userType: 'user' });
     logger.info('User registered', { userId, socketId });
   }
 
-  // Register expert socket connection
-  registerExpert(expertId, socketId) {
-    this.expertSockets.set(expertId, socketId);
-    this.socketToUser.set(socketId, { userId: expertId, userType: 'expert' });
-    this.onlineExperts.add(expertId);
+  // Register expert socket connection (one of possibly several devices)
+  async registerExpert(expertId, socketId) {
+    await this.store.setAdd(expertSocketsKey(expertId), socketId);
+    await this.store.setAdd(CONNECTED_EXPERTS, expertId);
+    await this.store.hashSet(SOCKET_TO_USER, socketId, { userId: expertId, userType: 'expert' });
+    await this.store.setAdd(ONLINE_EXPERTS, expertId);
     logger.info('Expert registered', { expertId, socketId });
   }
 
-  // Get user socket ID
-  getUserSocket(userId) {
-    return this.userSockets.get(userId);
+  // Drop a stale expert socket without touching their calls
+  // The expert only goes offline once no device is left
+  async unregisterExpert(expertId, socketId) {
+    await this.store.setRemove(expertSocketsKey(expertId), socketId);
+    await this.store.hashDelete(SOCKET_TO_USER, socketId);
+    if (await this.store.setSize(expertSocketsKey(expertId)) === 0) {
+      await this.store.setRemove(CONNECTED_EXPERTS, expertId);
+      await this.store.setRemove(ONLINE_EXPERTS, expertId);
+    }
+  }
+
+  // Get all socket IDs of a user
+  async getUserSockets(userId) {
+    return this.store.setMembers(userSocketsKey(userId));
   }
 
-  // Get expert socket ID
-  getExpertSocket(expertId) {
-    return this.expertSockets.get(expertId);
+  // Get all socket IDs of an expert
+  async getExpertSockets(expertId) {
+    return this.store.setMembers(expertSocketsKey(expertId));
+  }
+
+  // Check if a user has any connected device
+  async isUserConnected(userId) {
+    return (await this.store.setSize(userSocketsKey(userId))) > 0;
+  }
+
+  // Check if an expert has any connected device
+  async isExpertConnected(expertId) {
+    return (await this.store.setSize(expertSocketsKey(expertId))) > 0;
+  }
+
+  // Get { userId, userType } registered on a socket
+  async getSocketUser(socketId) {
+    return this.store.hashGet(SOCKET_TO_USER, socketId);
+  }
+
+  // Get all expertId -> [socketId] registrations
+  async getAllExpertSockets() {
+    const result = {};
+    for (const expertId of await this.store.setMembers(CONNECTED_EXPERTS)) {
+      result[expertId] = await this.getExpertSockets(expertId);
+    }
+    return result;
   }
 
   // Check if expert is online
-  isExpertOnline(expertId) {
-    return this.onlineExperts.has(expertId) && this.expertSockets.has(expertId);
+  async isExpertOnline(expertId) {
+    const [online, connected] = await Promise.all([
+      this.store.setHas(ONLINE_EXPERTS, expertId),
+      this.isExpertConnected(expertId)
+    ]);
+    return online && connected;
+  }
+
+  // Get the presence an expert chose (undefined if never set)
+  async getPresenceRecord(expertId) {
+    return this.store.hashGet(EXPERT_PRESENCE, expertId);
+  }
+
+  async savePresenceRecord(expertId, record) {
+    await this.store.hashSet(EXPERT_PRESENCE, expertId, record);
+    return record;
+  }
+
+  // Get all expertId -> presence records
+  async getAllPresenceRecords() {
+    return this.store.hashGetAll(EXPERT_PRESENCE);
+  }
+
+  // Effective presence: offline / busy / the state the expert chose
+  // busyExperts (from getBusyExperts) saves the busy lookup when resolving many experts at once
+  async getExpertPresence(expertId, busyExperts = null) {
+    const [connected, busy, record] = await Promise.all([
+      this.isExpertConnected(expertId),
+      busyExperts ? busyExperts.has(expertId) : this.isExpertBusy(expertId),
+      this.getPresenceRecord(expertId)
+    ]);
+    return resolvePresence({ connected, busy, record });
+  }
+
+  // Remember the presence last broadcast for an expert; returns the previous one
+  async swapBroadcastPresence(expertId, presence) {
+    const previous = await this.store.hashGet(PRESENCE_BROADCASTS, expertId);
+    await this.store.hashSet(PRESENCE_BROADCASTS, expertId, presence);
+    return previous;
   }
 
   // Check if expert is in active call
-  isExpertBusy(expertId) {
-    const expertCalls = [];
-    for (const [callId, call] of this.activeCalls) {
-      if (call.expertId === expertId) {
-        expertCalls.push({ callId, status: call.status });
-        // Only consider expert busy if call is ringing or connected
-        if (call.status === 'ringing' || call.status === 'connected') {
-          return true;
-        }
-      }
+  async isExpertBusy(expertId) {
+    const calls = await this.getExpertActiveCalls(expertId);
+    // Only consider expert busy if call is ringing, accepted, connected or waiting for a participant to reconnect
+    return calls.some(call => BUSY_CALL_STATUSES.includes(call.status));
+  }
+
+  // Every busy expert, from one pass over the active calls
+  async getBusyExperts() {
+    const busy = new Set();
+    for (const call of Object.values(await this.store.hashGetAll(ACTIVE_CALLS))) {
+      if (!BUSY_CALL_STATUSES.includes(call.status)) continue;
+      for (const expertId of callExpertIds(call)) busy.add(expertId);
     }
-    return false;
+    return busy;
   }
 
-  // Get expert's active calls
-  getExpertActiveCalls(expertId) {
+  // Get expert's active calls, including conferences they are in as a guest and transfers ringing them
+  // Reads only the calls indexed for this expert; calls that are gone are dropped from the index
+  async getExpertActiveCalls(expertId) {
     const calls = [];
-    for (const [callId, call] of this.activeCalls) {
-      if (call.expertId === expertId) {
+    for (const callId of await this.store.setMembers(expertCallsKey(expertId))) {
+      const call = await this.getCall(callId);
+      if (!call) {
+        await this.store.setRemove(expertCallsKey(expertId), callId);
+        continue;
+      }
+      const role = expertRole(call, expertId);
+      if (role === 'expert') {
         calls.push({ callId, status: call.status, userId: call.userId });
+      } else if (role) {
+        calls.push({ callId, status: call.status, userId: call.userId, [role]: true });
       }
     }
     return calls;
   }
 
+  // Add a call to the index of every expert it counts against
+  async _indexCall(call) {
+    for (const expertId of callExpertIds(call)) {
+      await this.store.setAdd(expertCallsKey(expertId), call.callId);
+    }
+  }
+
   // Create a new call
-  createCall(callId, userId, expertId, userSocketId, expertSocketId, callerInfo = null) {
+  // extra carries optional fields known at creation, e.g. { appointmentId } for scheduled calls
+  async createCall(callId, userId, expertId, userSocketId, expertSocketId, callerInfo = null, extra = {}) {
     const call = {
+      ...extra,
       callId,
       userId,
       expertId,
@@ -89,57 +225,119 @@ class RoomManager {
       callerInfo,
       status: 'ringing',
       createdAt: Date.now(),
-      startTime: null
+      startTime: null,
+      history: [{ from: null, to: 'ringing', at: Date.now() }],
+      indexedExpertIds: [expertId] // every expert whose call index holds this call
     };
-    this.activeCalls.set(callId, call);
+    await this.store.hashSet(ACTIVE_CALLS, callId, call);
+    await this._indexCall(call);
     logger.callEvent('call_created', call);
     return call;
   }
 
+  // Claim a ringing call for one expert device
+  // Returns false if another device (possibly on another instance) got there first
+  async claimCall(callId, socketId) {
+    return this.store.hashSetIfAbsent(CALL_CLAIMS, callId, socketId);
+  }
+
+  // Claim a ringing transfer for one device of the target expert
+  async claimTransfer(callId, socketId) {
+    return this.store.hashSetIfAbsent(TRANSFER_CLAIMS, callId, socketId);
+  }
+
+  // Allow the next transfer of this call to be claimed
+  async releaseTransfer(callId) {
+    await this.store.hashDelete(TRANSFER_CLAIMS, callId);
+  }
+
   // Get call by ID
-  getCall(callId) {
-    return this.activeCalls.get(callId);
+  async getCall(callId) {
+    return this.store.hashGet(ACTIVE_CALLS, callId);
   }
 
-  // Update call status
-  updateCallStatus(callId, status) {
-    const call = this.activeCalls.get(callId);
-    if (call) {
-      call.status = status;
-      if (status === 'connected' && !call.startTime) {
-        call.startTime = Date.now();
+  // Change a call in place if it still exists; an ended call is never written back
+  // change(call) mutates the current stored call and may return false to leave it untouched.
+  // It can run more than once (Redis retries on conflicting writes), so it must only depend on the call it gets
+  // Returns the updated call, or null if the call is gone or change declined
+  async updateCall(callId, change) {
+    let updated = null;
+    await this.store.hashUpdate(ACTIVE_CALLS, callId, (call) => {
+      updated = null;
+      if (!call || change(call) === false) {
+        return undefined;
       }
+      call.indexedExpertIds = [...new Set([...(call.indexedExpertIds || []), ...callExpertIds(call)])];
+      updated = call;
+      return call;
+    });
+    if (updated) {
+      await this._indexCall(updated);
+    }
+    return updated;
+  }
+
+  // Move a call to a new status through the state machine
+  // change(call), if given, applies further fields in the same write once the transition is allowed,
+  // and may return false to decline it (the result is then { ok: false, code: 'stale_call' })
+  // Returns { ok, call } or { ok: false, code, error } for illegal transitions / missing calls
+  async transitionCall(callId, status, meta = {}, change = null) {
+    let result = { ok: false, code: 'call_not_found', error: 'Call not found' };
+    await this.updateCall(callId, (call) => {
+      result = callStateMachine.transition(call, status, meta);
+      if (!result.ok) {
+        logger.warn('Rejected call transition', { callId, from: call.status, to: status });
+        return false;
+      }
+      if (change && change(call) === false) {
+        result = { ok: false, code: 'stale_call', error: 'Call changed before the transition' };
+        return false;
+      }
+      return true;
+    });
+
+    if (result.ok) {
       logger.callEvent('call_status_updated', { callId, status });
     }
-    return call;
+    return result;
   }
 
-  // Update heartbeat for call participant
-  updateHeartbeat(callId, userId, userType) {
-    const call = this.activeCalls.get(callId);
-    if (call) {
-      if (userType === 'user' || call.userId === userId) {
+  // Update heartbeat for call participant ('user' or 'expert')
+  async updateHeartbeat(callId, party) {
+    return this.updateCall(callId, (call) => {
+      if (party === 'user') {
         call.lastUserHeartbeat = Date.now();
-      } else if (userType === 'expert' || call.expertId === userId) {
+      } else if (party === 'expert') {
         call.lastExpertHeartbeat = Date.now();
       }
-      // logger.debug(`Heartbeat updated for ${userId} in call ${callId}`);
-    }
+      // A fresh heartbeat clears any pending loss warning for that side
+      if (call.heartbeatWarnings) {
+        delete call.heartbeatWarnings[party];
+      }
+    });
   }
 
   // End call and remove from active calls
-  endCall(callId) {
-    const call = this.activeCalls.get(callId);
+  async endCall(callId) {
+    const call = await this.getCall(callId);
     if (call) {
-      this.activeCalls.delete(callId);
-      logger.callEvent('call_ended', { callId });
+      await this.store.hashDelete(ACTIVE_CALLS, callId);
+      await this.store.hashDelete(CALL_CLAIMS, callId);
+      await this.store.hashDelete(TRANSFER_CLAIMS, callId);
+      for (const expertId of new Set([...(call.indexedExpertIds || []), ...callExpertIds(call)])) {
+        await this.store.setRemove(expertCallsKey(expertId), callId);
+      }
+      if (call.startTime) {
+        metrics.observeCallDuration((call.endedAt || Date.now()) - call.startTime);
+      }
+      logger.callEvent('call_ended', { callId, status: call.status, history: call.history });
     }
     return call;
   }
 
   // Get call duration in seconds
-  getCallDuration(callId) {
-    const call = this.activeCalls.get(callId);
+  async getCallDuration(callId) {
+    const call = await this.getCall(callId);
     if (call && call.startTime) {
       return Math.floor((Date.now() - call.startTime) / 1000);
     }
@@ -147,63 +345,231 @@ class RoomManager {
   }
 
   // Remove socket and cleanup
-  removeSocket(socketId) {
-    const userData = this.socketToUser.get(socketId);
+  // Calls bound to this socket are left to the disconnect handler, which notifies the peer and backend
+  // Returns { userId, userType, lastDevice } - lastDevice is false while other devices stay connected
+  async removeSocket(socketId) {
+    const userData = await this.getSocketUser(socketId);
 
     if (userData) {
       const { userId, userType } = userData;
+      const socketsKey = userType === 'expert' ? expertSocketsKey(userId) : userSocketsKey(userId);
+
+      await this.store.setRemove(socketsKey, socketId);
+      userData.lastDevice = (await this.store.setSize(socketsKey)) === 0;
 
-      if (userType === 'user') {
-        this.userSockets.delete(userId);
-      } else if (userType === 'expert') {
-        this.expertSockets.delete(userId);
+      if (userData.lastDevice) {
+        await this.store.setRemove(userType === 'expert' ? CONNECTED_EXPERTS : CONNECTED_USERS, userId);
       }
 
-      this.socketToUser.delete(socketId);
+      await this.store.hashDelete(SOCKET_TO_USER, socketId);
+    }
 
-      // Clean up any active calls for this user
-      for (const [callId, call] of this.activeCalls) {
-        if (call.userSocketId === socketId || call.expertSocketId === socketId) {
-          this.activeCalls.delete(callId);
-          logger.callEvent('call_cleaned_on_disconnect', { callId, socketId });
-        }
+    return userData;
+  }
+
+  // Get an expert's waiting callers, first in line first
+  async getQueue(expertId) {
+    return (await this.store.hashGet(CALL_QUEUES, expertId)) || [];
+  }
+
+  // Atomically replace an expert's queue with change(queue); an empty queue is removed
+  async _updateQueue(expertId, change) {
+    const queue = await this.store.hashUpdate(CALL_QUEUES, expertId, (current) => {
+      const next = change(current || []);
+      return next.length > 0 ? next : null;
+    });
+    return queue || [];
+  }
+
+  // Append a caller to an expert's queue unless they are already in it or it is full
+  // Returns { position, length, added } with a 1-based position, or { full: true, length }
+  async enqueueCall(expertId, entry, maxLength = Infinity) {
+    let result;
+    await this._updateQueue(expertId, (current) => {
+      const existing = current.findIndex(queued => queued.callId === entry.callId);
+      if (existing !== -1) {
+        result = { position: existing + 1, length: current.length, added: false };
+        return current;
+      }
+      if (current.length >= maxLength) {
+        result = { full: true, length: current.length };
+        return current;
       }
+      result = { position: current.length + 1, length: current.length + 1, added: true };
+      return [...current, entry];
+    });
 
-      logger.disconnection(socketId, userId);
+    if (result.added) {
+      logger.info('Call queued', { expertId, callId: entry.callId, position: result.position });
     }
+    return result;
+  }
 
-    return userData;
+  // Take the first caller off an expert's queue
+  async dequeueCall(expertId) {
+    let entry = null;
+    await this._updateQueue(expertId, (current) => {
+      entry = current[0] || null;
+      return current.slice(1);
+    });
+    return entry;
+  }
+
+  // Put a caller back at the front (their turn came but the call could not ring)
+  async requeueCallFirst(expertId, entry) {
+    await this._updateQueue(expertId, current => [entry, ...current]);
+  }
+
+  // Remove queued entries matching a predicate; returns the removed entries
+  async removeQueuedCalls(expertId, predicate) {
+    let removed = [];
+    await this._updateQueue(expertId, (current) => {
+      removed = current.filter(predicate);
+      return current.filter(entry => !predicate(entry));
+    });
+    return removed;
+  }
+
+  // Claim the right to ring an expert's next queued caller, so two callers are never rung at once
+  // A losing attempt flags the claim so the holder looks at the queue again before letting go
+  // A claim left behind by a crashed instance lapses after ttlMs
+  async claimQueueRing(expertId, owner, ttlMs) {
+    let claimed = false;
+    await this.store.hashUpdate(QUEUE_RING_CLAIMS, expertId, (current) => {
+      claimed = !current || current.expiresAt <= Date.now();
+      return claimed ? { owner, expiresAt: Date.now() + ttlMs, again: false } : { ...current, again: true };
+    });
+    return claimed;
+  }
+
+  // Let go of a queue ring claim if it is still ours
+  // With renewMs, a claim flagged by another attempt is kept (and renewed) instead; returns true if so
+  async releaseQueueRing(expertId, owner, renewMs = 0) {
+    let kept = false;
+    await this.store.hashUpdate(QUEUE_RING_CLAIMS, expertId, (current) => {
+      kept = false;
+      if (!current || current.owner !== owner) return undefined;
+      if (current.again && renewMs > 0) {
+        kept = true;
+        return { owner, expiresAt: Date.now() + renewMs, again: false };
+      }
+      return null;
+    });
+    return kept;
+  }
+
+  // Get all expertId -> queue entries
+  async getAllQueues() {
+    return this.store.hashGetAll(CALL_QUEUES);
+  }
+
+  // Get chat messages waiting for a recipient, oldest first
+  async getOfflineMessages(recipientId) {
+    return (await this.store.hashGet(OFFLINE_MESSAGES, recipientId)) || [];
+  }
+
+  // Atomically replace a recipient's waiting messages with change(messages); an empty list is removed
+  // change may return undefined to leave the list as it is; resolves with the messages now waiting
+  async updateOfflineMessages(recipientId, change) {
+    const messages = await this.store.hashUpdate(OFFLINE_MESSAGES, recipientId, (current) => {
+      const next = change(current || []);
+      if (next === undefined) return undefined;
+      return next.length > 0 ? next : null;
+    });
+    return messages || [];
+  }
+
+  // Get all recipientId -> waiting messages
+  async getAllOfflineMessages() {
+    return this.store.hashGetAll(OFFLINE_MESSAGES);
+  }
+
+  // Get a chat's recent messages, oldest first
+  async getChatHistory(chatId) {
+    return (await this.store.hashGet(CHAT_HISTORY, chatId)) || [];
+  }
+
+  // Atomically replace a chat's history with change(messages); an empty history is removed
+  // change may return undefined to leave it as it is; resolves with the messages now kept
+  async updateChatHistory(chatId, change) {
+    const messages = await this.store.hashUpdate(CHAT_HISTORY, chatId, (current) => {
+      const next = change(current || []);
+      if (next === undefined) return undefined;
+      return next.length > 0 ? next : null;
+    });
+    return messages || [];
+  }
+
+  // Get all chatId -> kept messages
+  async getAllChatHistory() {
+    return this.store.hashGetAll(CHAT_HISTORY);
+  }
+
+  // Get the delivery state of a chat message (null once read or expired)
+  async getMessageReceipt(messageId) {
+    return (await this.store.hashGet(MESSAGE_RECEIPTS, messageId)) || null;
+  }
+
+  async saveMessageReceipt(receipt) {
+    await this.store.hashSet(MESSAGE_RECEIPTS, receipt.messageId, receipt);
+    return receipt;
+  }
+
+  // Apply a change to a receipt if it still exists; change may return undefined to leave it alone
+  // Returns the new receipt, or null if it is gone or unchanged
+  async updateMessageReceipt(messageId, change) {
+    let changed = false;
+    const receipt = await this.store.hashUpdate(MESSAGE_RECEIPTS, messageId, (current) => {
+      const next = current ? change(current) : undefined;
+      changed = next !== undefined;
+      return next;
+    });
+    return changed ? receipt : null;
+  }
+
+  async deleteMessageReceipt(messageId) {
+    await this.store.hashDelete(MESSAGE_RECEIPTS, messageId);
+  }
+
+  // Get all messageId -> receipt
+  async getAllMessageReceipts() {
+    return this.store.hashGetAll(MESSAGE_RECEIPTS);
   }
 
   // Get all online expert IDs
-  getOnlineExperts() {
-    return Array.from(this.onlineExperts);
+  async getOnlineExperts() {
+    return this.store.setMembers(ONLINE_EXPERTS);
   }
 
   // Get all online expert IDs (alias for heartbeat)
-  getAllOnlineExperts() {
+  async getAllOnlineExperts() {
     return this.getOnlineExperts();
   }
 
   // Get all active calls
-  getAllActiveCalls() {
-    const calls = [];
-    for (const [callId, call] of this.activeCalls) {
-      calls.push({
-        callId,
-        ...call
-      });
-    }
-    return calls;
+  async getAllActiveCalls() {
+    const activeCalls = await this.store.hashGetAll(ACTIVE_CALLS);
+    return Object.entries(activeCalls).map(([callId, call]) => ({
+      callId,
+      ...call
+    }));
   }
 
   // Get statistics
-  getStats() {
+  async getStats() {
+    const [totalUsers, totalExperts, onlineExperts, activeCalls, totalSockets] = await Promise.all([
+      this.store.setSize(CONNECTED_USERS),
+      this.store.setSize(CONNECTED_EXPERTS),
+      this.store.setSize(ONLINE_EXPERTS),
+      this.store.hashLength(ACTIVE_CALLS),
+      this.store.hashLength(SOCKET_TO_USER)
+    ]);
     return {
-      totalUsers: this.userSockets.size,
-      totalExperts: this.expertSockets.size,
-      onlineExperts: this.onlineExperts.size,
-      activeCalls: this.activeCalls.size
+      totalUsers,
+      totalExperts,
+      totalSockets,
+      onlineExperts,
+      activeCalls
     };
   }
 }
@@ -0,0 +1,311 @@
+/**
+ * Scheduled consultations
+ * Appointments are kept in a local JSON file so reminders and ringing survive a restart
+ *
+ *   scheduled -> waiting (start time reached, a party is missing or busy) -> ringing -> started
+ *   ringing/waiting -> no_show | declined | cancelled
+ *   scheduled -> cancelled | failed (the server was down for the whole start window)
+ *   waiting -> failed (ringing kept failing)
+ *
+ * The event handler does the talking to sockets and the backend; this module decides when
+ */
+
+const fs = require('fs');
+const path = require('path');
+const rooms = require('./rooms');
+const logger = require('./utils/logger');
+
+const SCHEDULE_FILE = process.env.SCHEDULE_FILE || path.join(process.cwd(), 'data', 'schedules.json');
+
+// Reminder offsets before the start time (default 15, 5 and 1 minutes)
+const REMINDER_OFFSETS = (process.env.SCHEDULE_REMINDERS_MS || '900000,300000,60000')
+  .split(',')
+  .map(value => parseInt(value, 10))
+  .filter(value => value > 0)
+  .sort((a, b) => b - a);
+
+// How long after the start time both parties have to show up (default 5 minutes)
+const NO_SHOW_AFTER = parseInt(process.env.SCHEDULE_NO_SHOW_AFTER_MS, 10) || 5 * 60 * 1000;
+
+// Settled appointments are dropped from the file after this long (default 24 hours)
+const RETENTION = parseInt(process.env.SCHEDULE_RETENTION_MS, 10) || 24 * 60 * 60 * 1000;
+
+// A ring that fails is retried after SCHEDULE_RING_RETRY_MS, doubling up to a minute,
+// and the appointment fails after SCHEDULE_RING_MAX_ATTEMPTS failed rings
+const RING_RETRY_BASE = parseInt(process.env.SCHEDULE_RING_RETRY_MS, 10) || 5000;
+const RING_RETRY_MAX = 60 * 1000;
+const RING_MAX_ATTEMPTS = parseInt(process.env.SCHEDULE_RING_MAX_ATTEMPTS, 10) || 5;
+
+const POLL_INTERVAL = 1000;
+
+const OPEN_STATUSES = ['scheduled', 'waiting', 'ringing'];
+
+class ScheduleError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.code = code;
+  }
+}
+
+class Scheduler {
+  constructor(file = SCHEDULE_FILE) {
+    this.file = file;
+
+    // appointmentId -> appointment
+    this.appointments = new Map();
+
+    // Does the reminding, ringing and outcome reporting (the EventHandler)
+    this.handler = null;
+
+    this.writeChain = Promise.resolve();
+    this.ticking = false;
+    this.interval = null;
+  }
+
+  // Load appointments from disk and start the clock (called once the socket server is up)
+  start(handler) {
+    this.handler = handler;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this._load();
+
+    const open = [...this.appointments.values()].filter(a => OPEN_STATUSES.includes(a.status)).length;
+    if (open > 0) {
+      logger.info(`📅 Scheduler restored ${open} open appointments`);
+    }
+
+    this.interval = setInterval(() => this.tick(), POLL_INTERVAL);
+    this.interval.unref();
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    return this.writeChain;
+  }
+
+  _load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const appointment of saved.appointments || []) {
+        this.appointments.set(appointment.appointmentId, appointment);
+      }
+    } catch (error) {
+      logger.error('❌ CRITICAL: Could not read schedule file, starting empty:', error.message);
+    }
+  }
+
+  // Write the whole file; appointments are few, and a rename keeps the file whole on a crash
+  _save() {
+    const body = JSON.stringify({ appointments: [...this.appointments.values()] });
+    this.writeChain = this.writeChain
+      .then(async () => {
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.writeFile(tmp, body);
+        await fs.promises.rename(tmp, this.file);
+      })
+      .catch((error) => logger.error('❌ CRITICAL: Failed to write schedule file:', error.message));
+    return this.writeChain;
+  }
+
+  // Register an appointment; startAt is epoch ms or an ISO date
+  // callId must be the call the backend created for the appointment: ringing it updates that record
+  // Resolves once it is on disk
+  async add({ appointmentId, callId, userId, expertId, startAt }) {
+    const start = typeof startAt === 'number' ? startAt : Date.parse(startAt);
+    if (!appointmentId || !callId || !userId || !expertId || !Number.isFinite(start)) {
+      throw new ScheduleError('invalid_appointment', 'appointmentId, callId, userId, expertId and a valid startAt are required');
+    }
+    if (start + NO_SHOW_AFTER < Date.now()) {
+      throw new ScheduleError('invalid_appointment', 'startAt is too far in the past');
+    }
+    if (this.appointments.has(String(appointmentId))) {
+      throw new ScheduleError('appointment_exists', 'An appointment with this id already exists');
+    }
+
+    const now = Date.now();
+    const appointment = {
+      appointmentId: String(appointmentId),
+      callId: String(callId),
+      userId: String(userId),
+      expertId: String(expertId),
+      startAt: start,
+      status: 'scheduled',
+      remindersSent: [],
+      ringAttempts: 0,
+      nextRingAt: null,
+      outcome: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.appointments.set(appointment.appointmentId, appointment);
+    await this._save();
+
+    logger.info('📅 Appointment scheduled', {
+      appointmentId: appointment.appointmentId,
+      callId: appointment.callId,
+      startAt: new Date(start).toISOString()
+    });
+    return appointment;
+  }
+
+  get(appointmentId) {
+    return this.appointments.get(String(appointmentId)) || null;
+  }
+
+  // Soonest first
+  list(status) {
+    return [...this.appointments.values()]
+      .filter(appointment => !status || appointment.status === status)
+      .sort((a, b) => a.startAt - b.startAt);
+  }
+
+  // Move an appointment to a new status and persist it
+  async update(appointmentId, changes) {
+    const appointment = this.get(appointmentId);
+    if (!appointment) return null;
+
+    Object.assign(appointment, changes, { updatedAt: Date.now() });
+    await this._save();
+    return appointment;
+  }
+
+  // Settle an open appointment once; later calls for the same appointment are ignored
+  async settle(appointmentId, status, outcome = {}) {
+    const appointment = this.get(appointmentId);
+    if (!appointment || !OPEN_STATUSES.includes(appointment.status)) {
+      return null;
+    }
+
+    await this.update(appointmentId, { status, outcome: { status, ...outcome, at: Date.now() } });
+    logger.info(`📅 Appointment ${status}`, { appointmentId, callId: appointment.callId, ...outcome });
+    if (this.handler) {
+      await this.handler.reportAppointmentOutcome(appointment);
+    }
+    return appointment;
+  }
+
+  // Cancel an appointment that has not started yet
+  async cancel(appointmentId, reason = 'cancelled') {
+    const appointment = this.get(appointmentId);
+    if (!appointment) {
+      throw new ScheduleError('appointment_not_found', 'Appointment not found');
+    }
+    if (!['scheduled', 'waiting'].includes(appointment.status)) {
+      throw new ScheduleError('appointment_not_open', `Appointment is already ${appointment.status}`);
+    }
+    return this.settle(appointmentId, 'cancelled', { reason });
+  }
+
+  // Send due reminders, ring appointments whose time has come and settle the ones that ran out
+  async tick() {
+    if (this.ticking || !this.handler) return;
+    this.ticking = true;
+
+    try {
+      const now = Date.now();
+      for (const appointment of [...this.appointments.values()]) {
+        try {
+          await this._process(appointment, now);
+        } catch (error) {
+          logger.error(`Scheduler failed on appointment ${appointment.appointmentId}:`, error.message);
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async _process(appointment, now) {
+    const { appointmentId, startAt } = appointment;
+
+    if (!OPEN_STATUSES.includes(appointment.status)) {
+      if (now - appointment.updatedAt > RETENTION) {
+        this.appointments.delete(appointmentId);
+        await this._save();
+      }
+      return;
+    }
+
+    // The call was rung; it either got answered (handled by the accept hook) or went away unanswered
+    if (appointment.status === 'ringing') {
+      if (!(await rooms.getCall(appointment.callId))) {
+        await this.settle(appointmentId, 'cancelled', { reason: 'call_not_answered' });
+      }
+      return;
+    }
+
+    if (now < startAt) {
+      // Only the closest reminder that is due goes out; earlier ones that were missed are skipped
+      const due = REMINDER_OFFSETS.filter(offset => now >= startAt - offset && !appointment.remindersSent.includes(offset));
+      if (due.length > 0) {
+        const offset = Math.min(...due);
+        await this.update(appointmentId, { remindersSent: [...appointment.remindersSent, ...due] });
+        await this.handler.remindAppointment(appointment, startAt - now);
+        logger.debug('Appointment reminder sent', { appointmentId, offset });
+      }
+      return;
+    }
+
+    // Never attempted and already past the window: the server was down for all of it
+    if (appointment.status === 'scheduled' && now > startAt + NO_SHOW_AFTER) {
+      await this.settle(appointmentId, 'failed', { reason: 'server_unavailable' });
+      return;
+    }
+
+    // A failed ring backs off instead of hitting the backend again on every tick
+    if (appointment.nextRingAt && now < appointment.nextRingAt) {
+      if (now > startAt + NO_SHOW_AFTER) {
+        await this.settle(appointmentId, 'failed', { reason: appointment.lastRingError, ringAttempts: appointment.ringAttempts });
+      }
+      return;
+    }
+
+    const result = await this.handler.startAppointment(appointment);
+    if (result.ringing) {
+      // A quick answer may already have settled it as started
+      if (OPEN_STATUSES.includes(appointment.status)) {
+        await this.update(appointmentId, { status: 'ringing', ringingAt: now });
+      }
+      return;
+    }
+
+    if (result.ringFailed) {
+      const ringAttempts = (appointment.ringAttempts || 0) + 1;
+      if (ringAttempts >= RING_MAX_ATTEMPTS || now > startAt + NO_SHOW_AFTER) {
+        await this.settle(appointmentId, 'failed', { reason: result.reason, ringAttempts });
+        return;
+      }
+      const delay = Math.min(RING_RETRY_BASE * 2 ** (ringAttempts - 1), RING_RETRY_MAX);
+      await this.update(appointmentId, { ringAttempts, nextRingAt: now + delay, lastRingError: result.reason });
+      logger.warn(`📅 Ringing appointment ${appointmentId} failed, retrying in ${delay}ms`, { reason: result.reason, ringAttempts });
+    }
+
+    if (now > startAt + NO_SHOW_AFTER) {
+      await this.settle(appointmentId, 'no_show', { party: result.missing, reason: result.reason });
+      return;
+    }
+
+    if (appointment.status === 'scheduled' || appointment.waitingFor !== result.missing) {
+      await this.update(appointmentId, { status: 'waiting', waitingFor: result.missing });
+      await this.handler.notifyAppointmentWaiting(appointment, result.missing, startAt + NO_SHOW_AFTER - now);
+    }
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const appointment of this.appointments.values()) {
+      byStatus[appointment.status] = (byStatus[appointment.status] || 0) + 1;
+    }
+    return { total: this.appointments.size, ...byStatus };
+  }
+}
+
+module.exports = new Scheduler();
+module.exports.ScheduleError = ScheduleError;
@@ -4,7 +4,19 @@
 
 const { Server } = require('socket.io');
 const EventHandler = require('./events');
+const { createAuthMiddleware } = require('./auth');
+const { validateEvent, errorAck } = require('./validation');
+const rateLimiter = require('./rateLimiter');
+const backend = require('./backendClient');
+const metrics = require('./metrics');
 const logger = require('./utils/logger');
+const { CHUNK_BYTES } = require('./attachments');
+
+// Largest single packet a client may send (default 1 MB); attachments arrive in chunks well under it
+const MAX_BUFFER_BYTES = parseInt(process.env.SOCKET_MAX_BUFFER_BYTES, 10) || 1e6;
+if (MAX_BUFFER_BYTES < CHUNK_BYTES + 16 * 1024) {
+  logger.warn('SOCKET_MAX_BUFFER_BYTES is smaller than an attachment chunk; uploads will be cut off', { maxBufferBytes: MAX_BUFFER_BYTES, chunkBytes: CHUNK_BYTES });
+}
 
 function parseAllowedOrigins() {
   const raw = process.env.CLIENT_URLS || process.env.CLIENT_URL || '';
@@ -26,11 +38,120 @@ function parseAllowedOrigins() {
     .filter(Boolean);
     
   const allow = [...new Set([...defaults, ...list])];
-  console.log('Allowed CORS origins:', allow);
+  logger.info('Allowed CORS origins', { origins: allow });
   return allow;
 }
 
-function initializeSocket(server) {
+// Client event -> EventHandler method
+// Call events - support both old and new event names
+const CLIENT_EVENTS = [
+  // Registration events
+  ['register', 'handleRegister'],
+
+  // Call events
+  ['call_request', 'handleCallRequest'],
+  ['call:initiate', 'handleCallRequest'],
+  ['accept_call', 'handleAcceptCall'],
+  ['call:accept', 'handleAcceptCall'],
+  ['reject_call', 'handleRejectCall'],
+  ['call:reject', 'handleRejectCall'],
+  ['call_connected', 'handleCallConnected'],
+  ['call:connected', 'handleCallConnected'],
+  ['call:heartbeat', 'handleCallHeartbeat'],
+  ['call:rejoin', 'handleCallRejoin'],
+  ['queue:leave', 'handleQueueLeave'],
+  ['end_call', 'handleCallEnd'],
+  ['call:end', 'handleCallEnd'],
+  ['call:hold', 'handleCallHold'],
+  ['call:resume', 'handleCallResume'],
+  ['call:media_state', 'handleMediaState'],
+
+  // Conference events
+  ['call:invite', 'handleCallInvite'],
+  ['call:join', 'handleCallJoin'],
+  ['call:leave', 'handleCallLeave'],
+
+  // Transfer events
+  ['call:transfer', 'handleCallTransfer'],
+  ['call:transfer_accept', 'handleTransferAccept'],
+  ['call:transfer_reject', 'handleTransferReject'],
+  ['call:transfer_cancel', 'handleTransferCancel'],
+
+  // Presence events
+  ['expert:set_presence', 'handleSetPresence'],
+  ['presence:subscribe', 'handlePresenceSubscribe'],
+  ['presence:unsubscribe', 'handlePresenceUnsubscribe'],
+
+  // WebRTC signaling events
+  ['offer', 'handleWebRTCOffer'],
+  ['answer', 'handleWebRTCAnswer'],
+  ['ice_candidate', 'handleWebRTCIce'],
+
+  // Chat events
+  ['send_message', 'handleSendMessage'],
+  ['chat:ack', 'handleChatAck'],
+  ['chat:join', 'handleChatJoin'],
+  ['chat:leave', 'handleChatLeave'],
+  ['attachment:start', 'handleAttachmentStart'],
+  ['attachment:chunk', 'handleAttachmentChunk'],
+  ['attachment:cancel', 'handleAttachmentCancel'],
+  ['typing', 'handleTyping'],
+  ['message_read', 'handleMessageRead']
+];
+
+// Wrap a handler so every event gets the same treatment:
+// - the ack is always callable (clients may omit it)
+// - the event is rate limited per socket and per identity
+// - the payload is validated against its schema before the handler runs
+// - handler exceptions are logged and acked instead of becoming unhandled rejections
+function createEventListener(socket, event, handler) {
+  return async (data, callback) => {
+    // socket.emit(event, ack) with no payload puts the ack first
+    if (typeof data === 'function' && callback === undefined) {
+      callback = data;
+      data = {};
+    }
+    const hasAck = typeof callback === 'function';
+    const ack = hasAck ? callback : () => {};
+    const payload = data === undefined ? {} : data;
+    const log = logger.child({ socketId: socket.id, userId: socket.data.userId });
+
+    const limit = rateLimiter.consume(socket, event);
+    if (!limit.allowed) {
+      metrics.recordSocketEvent(event, 'rate_limited');
+      const rejection = errorAck('rate_limited', `Too many ${event} events, retry later`, { retryAfterMs: limit.retryAfterMs });
+      if (hasAck) {
+        ack(rejection);
+      }
+      if (!hasAck || limit.disconnect) {
+        socket.emit('rate_limited', { event, retryAfterMs: limit.retryAfterMs, disconnecting: limit.disconnect });
+      }
+      if (limit.disconnect) {
+        socket.disconnect(true);
+      }
+      return;
+    }
+
+    const details = validateEvent(event, payload);
+    if (details) {
+      log.warn(`Invalid payload for ${event}`, { event: 'invalid_payload', socketEvent: event, details });
+      metrics.recordSocketEvent(event, 'invalid');
+      ack(errorAck('invalid_payload', `Invalid payload for ${event}`, details));
+      return;
+    }
+
+    try {
+      await handler(socket, payload, ack);
+      metrics.recordSocketEvent(event, 'handled');
+    } catch (error) {
+      log.error(`Handler for ${event} failed`, error);
+      metrics.recordSocketEvent(event, 'error');
+      ack(errorAck('internal_error', 'Something went wrong handling this event'));
+    }
+  };
+}
+
+function initializeSocket(server, options = {}) {
   const allowedOrigins = parseAllowedOrigins();
 
   const io = new Server(server, {
@@ -46,7 +167,7 @@ function initializeSocket(server) {
           // For now, in production, we might want to be permissive if the list is incomplete
           // But ideally we should restrict. 
           // Let's allow all for now to fix the connection refused error, but log it.
-          console.warn('⚠️ Origin not in allowed list but allowing for now:', origin);
+          logger.warn('⚠️ Origin not in allowed list but allowing for now', { origin });
           callback(null, true);
         }
       },
@@ -59,43 +180,44 @@ function initializeSocket(server) {
     pingTimeout: 60000,
     pingInterval: 25000,
     upgradeTimeout: 30000,
-    maxHttpBufferSize: 1e8,
+    maxHttpBufferSize: MAX_BUFFER_BYTES,
     allowUpgrades: true,
     perMessageDeflate: false,
     httpCompression: false,
     connectTimeout: 45000
   });
 
+  // Shared adapter (e.g. Redis) so io.to(socketId/room) reaches sockets on other instances
+  if (options.adapter) {
+    io.adapter(options.adapter);
+    logger.info('Socket.IO cluster adapter enabled');
+  }
+
   logger.info('✅ Socket.IO server initialized with CORS:', allowedOrigins === false ? 'ALL ORIGINS' : allowedOrigins);
 
+  // Every socket must present a valid backend-issued token before connecting
+  io.use(createAuthMiddleware());
+
   const eventHandler = new EventHandler(io);
 
-  // Global interval to check for stale calls (no heartbeat > 15s)
+  // Global interval to check connected calls for lost heartbeats (user and expert)
   // Run frequent checks (every 5s) for high safety
   if (!server._heartbeatInterval) {
-    server._heartbeatInterval = setInterval(() => {
-      const rooms = require('./rooms');
-      const now = Date.now();
-      const HEARTBEAT_TIMEOUT = 15000; // 15 seconds
-
-      for (const [callId, call] of rooms.activeCalls) {
-        if (call.status === 'connected') {
-          const timeSinceUserHeartbeat = now - (call.lastUserHeartbeat || call.startTime);
-          const timeSinceExpertHeartbeat = now - (call.lastExpertHeartbeat || call.startTime);
-
-          // Check User
-          if (timeSinceUserHeartbeat > HEARTBEAT_TIMEOUT) {
-            logger.warn(`🚨 Call ${callId} auto-cut: User heartbeat lost (>15s)`);
-            // Force end call using the eventHandler instance
-            // We use a mock socket object or direct method if refactored
-            // Here we trigger it directly via eventHandler's logic
-            eventHandler.handleCallEnd(
-              { id: 'system_autocut' }, // Mock socket
-              { callId },
-              () => logger.info(`Auto-cut completed for call ${callId}`)
-            );
-          }
-        }
+    server._heartbeatInterval = setInterval(async () => {
+      try {
+        await eventHandler.checkCallHeartbeats();
+      } catch (error) {
+        logger.error('Call heartbeat check failed:', error.message);
+      }
+      try {
+        await eventHandler.expireQueuedCalls();
+      } catch (error) {
+        logger.error('Call queue expiry check failed:', error.message);
+      }
+      try {
+        await eventHandler.checkIdleExperts();
+      } catch (error) {
+        logger.error('Expert idle check failed:', error.message);
       }
     }, 5000);
   }
@@ -106,134 +228,94 @@ function initializeSocket(server) {
     const rooms = require('./rooms');
     const now = Date.now();
 
-    for (const [expertId, socketId] of rooms.expertSockets) {
-      const socket = io.sockets.sockets.get(socketId);
-      if (!socket || !socket.connected) {
-        logger.warn(`🧹 Cleaning up stale expert connection: ${expertId}`);
-        rooms.onlineExperts.delete(expertId);
-        rooms.expertSockets.delete(expertId);
-        rooms.socketToUser.delete(socketId);
+    try {
+      const expertSockets = await rooms.getAllExpertSockets();
+      for (const [expertId, socketIds] of Object.entries(expertSockets)) {
+        for (const socketId of socketIds) {
+          // fetchSockets() goes through the adapter, so sockets on other instances count as alive
+          const sockets = await io.in(socketId).fetchSockets();
+          if (sockets.length === 0) {
+            logger.warn(`🧹 Cleaning up stale expert connection: ${expertId}`, { socketId });
+            await rooms.unregisterExpert(expertId, socketId);
+            await eventHandler.broadcastPresence(expertId, 'stale_connection');
+          }
+        }
       }
+    } catch (error) {
+      logger.error('Error cleaning up stale expert connections:', error.message);
     }
 
     // Sync busy statuses - clear busy for experts with no active calls
     try {
-      const axios = require('axios');
-      const BACKEND_URL = process.env.BACKEND_URL || 'https://api.abbaslogic.com';
-
       // Get all experts marked as busy
-      const busyExpertsResponse = await axios.get(`${BACKEND_URL}/api/experts?limit=1000`);
+      const busyExpertsResponse = await backend.get('/api/experts?limit=1000');
       const experts = busyExpertsResponse.data.experts || [];
 
       for (const expert of experts) {
         if (expert.isBusy) {
           // Check if this expert has any active calls
-          const activeCalls = rooms.getExpertActiveCalls(expert._id);
+          const activeCalls = await rooms.getExpertActiveCalls(expert._id);
           if (activeCalls.length === 0) {
             // No active calls, clear busy status
             logger.info(`🔄 Auto-clearing busy status for expert ${expert._id} (no active calls)`);
-            await axios.put(`${BACKEND_URL}/api/experts/set-online-internal/${expert._id}`, { isBusy: false });
+            await backend.put(`/api/experts/set-online-internal/${expert._id}`, { isBusy: false });
 
-            // Emit to all clients
-            io.emit('expert_busy_changed', { expertId: expert._id, isBusy: false });
+            // Reaches only the expert's subscribers, and only if their presence changed
+            await eventHandler.broadcastPresence(expert._id, 'busy_sync');
           }
         }
       }
     } catch (error) {
       logger.error('Error in busy status sync:', error.message);
     }
-  }, 30000); // Every 30 seconds
-
-  io.on('connection', (socket) => {
-    logger.connection(socket.id, 'unknown', 'connected');
-
-    // Registration events
-    socket.on('register', (data) => {
-      eventHandler.handleRegister(socket, data);
-    });
-
-    // Call events - support both old and new event names
-    socket.on('call_request', (data, callback) => {
-      eventHandler.handleCallRequest(socket, data, callback);
-    });
 
-    socket.on('call:initiate', (data, callback) => {
-      eventHandler.handleCallRequest(socket, data, callback);
-    });
-
-    socket.on('accept_call', (data, callback) => {
-      eventHandler.handleAcceptCall(socket, data, callback);
-    });
-
-    socket.on('call:accept', (data, callback) => {
-      eventHandler.handleAcceptCall(socket, data, callback);
-    });
-
-    socket.on('reject_call', (data, callback) => {
-      eventHandler.handleRejectCall(socket, data, callback);
-    });
-
-    socket.on('call:reject', (data, callback) => {
-      eventHandler.handleRejectCall(socket, data, callback);
-    });
-
-    socket.on('call_connected', (data, callback) => {
-      eventHandler.handleCallConnected(socket, data, callback);
-    });
-
-    socket.on('call:connected', (data, callback) => {
-      eventHandler.handleCallConnected(socket, data, callback);
-    });
-
-    socket.on('end_call', (data, callback) => {
-      eventHandler.handleCallEnd(socket, data, callback);
-    });
-
-    socket.on('call:end', (data, callback) => {
-      eventHandler.handleCallEnd(socket, data, callback);
-    });
-
-    // WebRTC signaling events
-    socket.on('offer', (data) => {
-      eventHandler.handleWebRTCOffer(socket, data);
-    });
-
-    socket.on('answer', (data) => {
-      eventHandler.handleWebRTCAnswer(socket, data);
-    });
+    try {
+      await eventHandler.expireOfflineMessages();
+    } catch (error) {
+      logger.error('Error expiring offline messages:', error.message);
+    }
 
-    socket.on('ice_candidate', (data) => {
-      eventHandler.handleWebRTCIce(socket, data);
-    });
+    try {
+      await eventHandler.expireChatHistory();
+    } catch (error) {
+      logger.error('Error expiring chat history:', error.message);
+    }
+  }, 30000); // Every 30 seconds
 
-    // Chat events
-    socket.on('send_message', (data, callback) => {
-      eventHandler.handleSendMessage(socket, data, callback);
-    });
+  io.on('connection', (socket) => {
+    logger.connection(socket.id, socket.data.userId, socket.data.userType);
+    metrics.socketConnected(socket.data.userType);
 
-    socket.on('typing', (data) => {
-      eventHandler.handleTyping(socket, data);
-    });
+    for (const [event, handlerName] of CLIENT_EVENTS) {
+      socket.on(event, createEventListener(socket, event, eventHandler[handlerName].bind(eventHandler)));
+    }
 
-    socket.on('message_read', (data) => {
-      eventHandler.handleMessageRead(socket, data);
-    });
+    // Every event from an expert keeps them out of auto-away
+    if (socket.data.userType === 'expert') {
+      socket.onAny(() => {
+        eventHandler.recordExpertActivity(socket)
+          .catch(error => logger.error('Failed to record expert activity:', error.message));
+      });
+    }
 
     // Cleanup
     socket.on('disconnect', () => {
-      eventHandler.handleDisconnect(socket);
+      rateLimiter.removeSocket(socket.id);
+      metrics.socketDisconnected(socket.data.userType);
+      eventHandler.handleDisconnect(socket)
+        .catch(error => logger.error(`❌ Disconnect cleanup failed for ${socket.id}:`, error.message));
     });
   });
 
   // Log stats every 60 seconds in development
   if (process.env.NODE_ENV !== 'production') {
-    setInterval(() => {
+    setInterval(async () => {
       const rooms = require('./rooms');
-      logger.info('Server stats', rooms.getStats());
+      logger.info('Server stats', await rooms.getStats());
     }, 60000);
   }
 
-  return io;
+  return { io, eventHandler };
 }
 
 module.exports = { initializeSocket };
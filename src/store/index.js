@@ -0,0 +1,51 @@
+/**
+ * State backend selection
+ * REDIS_URL set   -> shared Redis store + Socket.IO Redis adapter (multi-instance)
+ * REDIS_URL unset -> in-memory store, default Socket.IO adapter (single instance)
+ */
+
+const logger = require('../utils/logger');
+const MemoryStore = require('./memoryStore');
+const RedisStore = require('./redisStore');
+
+async function createStateBackend() {
+  const redisUrl = process.env.REDIS_URL;
+
+  if (!redisUrl) {
+    logger.info('State store: in-memory (single instance)');
+    return {
+      store: new MemoryStore(),
+      adapter: null,
+      close: async () => {}
+    };
+  }
+
+  const { createClient } = require('redis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+
+  const client = createClient({ url: redisUrl });
+  const pubClient = client.duplicate();
+  const subClient = client.duplicate();
+
+  for (const c of [client, pubClient, subClient]) {
+    c.on('error', (error) => logger.error('Redis client error:', error.message));
+  }
+
+  await Promise.all([client.connect(), pubClient.connect(), subClient.connect()]);
+
+  logger.info('State store: redis (multi-instance)', { prefix: process.env.REDIS_KEY_PREFIX || 'coc' });
+
+  return {
+    store: new RedisStore(client, { prefix: process.env.REDIS_KEY_PREFIX }),
+    adapter: createAdapter(pubClient, subClient),
+    close: async () => {
+      await Promise.allSettled([client.quit(), pubClient.quit(), subClient.quit()]);
+    }
+  };
+}
+
+module.exports = {
+  createStateBackend,
+  MemoryStore,
+  RedisStore
+};
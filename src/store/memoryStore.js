@@ -0,0 +1,107 @@
+/**
+ * In-process state store (default)
+ * Same interface as RedisStore so RoomManager does not care where state lives
+ */
+
+class MemoryStore {
+  constructor() {
+    // name -> Map(field -> value)
+    this.hashes = new Map();
+
+    // name -> Set(member)
+    this.sets = new Map();
+  }
+
+  _hash(name) {
+    if (!this.hashes.has(name)) {
+      this.hashes.set(name, new Map());
+    }
+    return this.hashes.get(name);
+  }
+
+  _set(name) {
+    if (!this.sets.has(name)) {
+      this.sets.set(name, new Set());
+    }
+    return this.sets.get(name);
+  }
+
+  // Values are cloned on the way in and out so callers never share references,
+  // matching the serialize/deserialize behaviour of the Redis store
+  async hashGet(name, field) {
+    const value = this._hash(name).get(field);
+    return value === undefined ? undefined : JSON.parse(value);
+  }
+
+  async hashSet(name, field, value) {
+    this._hash(name).set(field, JSON.stringify(value));
+  }
+
+  async hashSetIfAbsent(name, field, value) {
+    const hash = this._hash(name);
+    if (hash.has(field)) {
+      return false;
+    }
+    hash.set(field, JSON.stringify(value));
+    return true;
+  }
+
+  // Read-modify-write one field; nothing awaits in between, so no other handler can interleave
+  // update(current) returns the new value, null to delete the field, or undefined to leave it alone
+  // Resolves with the value now stored (the current one when update left it alone)
+  async hashUpdate(name, field, update) {
+    const hash = this._hash(name);
+    const raw = hash.get(field);
+    const current = raw === undefined ? undefined : JSON.parse(raw);
+    const next = update(current);
+    if (next === undefined) {
+      return current;
+    }
+    if (next === null) {
+      hash.delete(field);
+    } else {
+      hash.set(field, JSON.stringify(next));
+    }
+    return next;
+  }
+
+  async hashDelete(name, field) {
+    return this._hash(name).delete(field);
+  }
+
+  async hashGetAll(name) {
+    const result = {};
+    for (const [field, value] of this._hash(name)) {
+      result[field] = JSON.parse(value);
+    }
+    return result;
+  }
+
+  async hashLength(name) {
+    return this._hash(name).size;
+  }
+
+  async setAdd(name, member) {
+    this._set(name).add(member);
+  }
+
+  async setRemove(name, member) {
+    return this._set(name).delete(member);
+  }
+
+  async setHas(name, member) {
+    return this._set(name).has(member);
+  }
+
+  async setMembers(name) {
+    return Array.from(this._set(name));
+  }
+
+  async setSize(name) {
+    return this._set(name).size;
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,145 @@
+/**
+ * Redis-backed state store
+ * Works with any client exposing the node-redis v4 command methods
+ * (hGet, hGetAll, hLen, sAdd, sRem, sIsMember, sMembers, sCard, plus multi with hSet/hDel/incr/del
+ * and executeIsolated/watch for hashUpdate), so a local redis-server or an in-process fake can be plugged in
+ *
+ * Every hash field written here has a revision key next to it (`<hash>:rev:<field>`), bumped in the
+ * same MULTI as the write. hashUpdate WATCHes only that key, so writers of other fields in the same
+ * hash (other calls, other experts) never force a retry.
+ */
+
+// hashUpdate gives up after this many lost WATCH races in a row
+const MAX_UPDATE_ATTEMPTS = 20;
+
+class RedisStore {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.prefix = options.prefix || 'coc';
+  }
+
+  _key(name) {
+    return `${this.prefix}:${name}`;
+  }
+
+  _revKey(name, field) {
+    return `${this.prefix}:${name}:rev:${field}`;
+  }
+
+  // Queue the write of one field (null deletes it) and the matching revision change on a MULTI
+  // A delete bumps the revision before dropping it, so a watcher is aborted even if the key never existed
+  _queueWrite(multi, name, field, value) {
+    const key = this._key(name);
+    const revKey = this._revKey(name, field);
+    if (value === null) {
+      multi.hDel(key, field);
+      multi.incr(revKey);
+      multi.del(revKey);
+    } else {
+      multi.hSet(key, field, JSON.stringify(value));
+      multi.incr(revKey);
+    }
+    return multi;
+  }
+
+  async hashGet(name, field) {
+    const raw = await this.client.hGet(this._key(name), field);
+    return raw == null ? undefined : JSON.parse(raw);
+  }
+
+  async hashSet(name, field, value) {
+    await this._queueWrite(this.client.multi(), name, field, value).exec();
+  }
+
+  // Atomic through hashUpdate so only one instance/device can win a claim
+  async hashSetIfAbsent(name, field, value) {
+    let won = false;
+    await this.hashUpdate(name, field, (current) => {
+      // Decided again on every attempt; only the one that commits counts
+      won = current === undefined;
+      return won ? value : undefined;
+    });
+    return won;
+  }
+
+  // Read-modify-write one field with WATCH/MULTI on an isolated connection;
+  // if another writer changes that field in between, EXEC is aborted and the update runs again on fresh data
+  // update(current) returns the new value, null to delete the field, or undefined to leave it alone
+  // Resolves with the value now stored (the current one when update left it alone)
+  async hashUpdate(name, field, update) {
+    const key = this._key(name);
+    const revKey = this._revKey(name, field);
+
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const result = await this.client.executeIsolated(async (isolated) => {
+        await isolated.watch(revKey);
+        const raw = await isolated.hGet(key, field);
+        const current = raw == null ? undefined : JSON.parse(raw);
+        const next = update(current);
+        if (next === undefined) {
+          await isolated.unwatch();
+          return { done: true, value: current };
+        }
+
+        try {
+          await this._queueWrite(isolated.multi(), name, field, next).exec();
+        } catch (error) {
+          if (error.constructor.name === 'WatchError') return { done: false };
+          throw error;
+        }
+        return { done: true, value: next };
+      });
+
+      if (result.done) return result.value;
+    }
+
+    throw new Error(`Gave up updating ${key} ${field} after ${MAX_UPDATE_ATTEMPTS} conflicting writes`);
+  }
+
+  async hashDelete(name, field) {
+    const [removed] = await this._queueWrite(this.client.multi(), name, field, null).exec();
+    return removed > 0;
+  }
+
+  async hashGetAll(name) {
+    const raw = await this.client.hGetAll(this._key(name));
+    const result = {};
+    for (const [field, value] of Object.entries(raw || {})) {
+      result[field] = JSON.parse(value);
+    }
+    return result;
+  }
+
+  async hashLength(name) {
+    return this.client.hLen(this._key(name));
+  }
+
+  async setAdd(name, member) {
+    await this.client.sAdd(this._key(name), member);
+  }
+
+  async setRemove(name, member) {
+    const removed = await this.client.sRem(this._key(name), member);
+    return removed > 0;
+  }
+
+  async setHas(name, member) {
+    return Boolean(await this.client.sIsMember(this._key(name), member));
+  }
+
+  async setMembers(name) {
+    return this.client.sMembers(this._key(name));
+  }
+
+  async setSize(name) {
+    return this.client.sCard(this._key(name));
+  }
+
+  async close() {
+    if (typeof this.client.quit === 'function') {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = RedisStore;
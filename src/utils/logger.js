@@ -1,41 +1,138 @@
 /**
  * Logger utility for consistent logging
+ *
+ * LOG_LEVEL  = error | warn | info | debug (default: info in production, debug otherwise)
+ * LOG_FORMAT = text | json (default: text)
+ *
+ * Sensitive fields (SDP, ICE candidates, tokens, message content) are redacted before output
  */
 
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Keys whose values never reach the logs, matched case-insensitively at any depth
+const REDACTED_KEYS = new Set([
+  'sdp',
+  'offer',
+  'answer',
+  'candidate',
+  'candidates',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'authorization',
+  'password',
+  'secret',
+  'content'
+]);
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+function resolveLevel() {
+  const configured = (process.env.LOG_LEVEL || '').toLowerCase();
+  if (configured in LEVELS) {
+    return configured;
+  }
+  return process.env.NODE_ENV === 'production' ? 'info' : 'debug';
+}
+
+// Errors are reduced to what is useful; axios errors carry request config (headers, bodies) we must not print
+function serializeError(error) {
+  const result = { name: error.name, message: error.message };
+  if (error.code) result.code = error.code;
+  if (error.response && error.response.status) result.status = error.response.status;
+  if (LEVELS[resolveLevel()] >= LEVELS.debug && error.stack) result.stack = error.stack;
+  return result;
+}
+
+// Deep copy with sensitive keys replaced
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = REDACTED_KEYS.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1, seen);
+  }
+  return result;
+}
+
+// The second argument is usually an object, but callers also pass Errors and plain strings
+function normalizeData(data) {
+  if (data === undefined || data === null) return {};
+  if (data instanceof Error) return { error: serializeError(data) };
+  if (typeof data !== 'object' || Array.isArray(data)) return { detail: redact(data) };
+  return redact(data);
+}
+
 class Logger {
-  constructor() {
+  constructor(bindings = {}) {
     this.context = '[SocketServer]';
+    this.bindings = bindings;
+  }
+
+  // Logger that adds the given fields (callId, socketId, userId, ...) to every line
+  child(bindings = {}) {
+    const defined = Object.fromEntries(Object.entries(bindings).filter(([, value]) => value !== undefined));
+    return new Logger({ ...this.bindings, ...defined });
+  }
+
+  _write(level, message, data) {
+    if (LEVELS[level] > LEVELS[resolveLevel()]) {
+      return;
+    }
+
+    const fields = { ...this.bindings, ...normalizeData(data) };
+    const stream = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+
+    if ((process.env.LOG_FORMAT || '').toLowerCase() === 'json') {
+      stream(JSON.stringify({ time: new Date().toISOString(), level, msg: String(message), ...fields }));
+      return;
+    }
+
+    stream(`${this.context} ${level.toUpperCase()}:`, message, fields);
   }
 
   info(message, data = {}) {
-    console.log(`${this.context} INFO:`, message, data);
+    this._write('info', message, data);
   }
 
   error(message, error = {}) {
-    console.error(`${this.context} ERROR:`, message, error);
+    this._write('error', message, error);
   }
 
   warn(message, data = {}) {
-    console.warn(`${this.context} WARN:`, message, data);
+    this._write('warn', message, data);
   }
 
   debug(message, data = {}) {
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`${this.context} DEBUG:`, message, data);
-    }
+    this._write('debug', message, data);
   }
 
   connection(socketId, userId, userType) {
-    this.info(`User connected: ${socketId}`, { userId, userType });
+    this.info(`User connected: ${socketId}`, { event: 'socket_connected', socketId, userId, userType });
   }
 
   disconnection(socketId, userId) {
-    this.info(`User disconnected: ${socketId}`, { userId });
+    this.info(`User disconnected: ${socketId}`, { event: 'socket_disconnected', socketId, userId });
   }
 
+  // event is a stable snake_case name such as call_accepted
   callEvent(event, data) {
-    this.info(`Call event: ${event}`, data);
+    this.info(`Call event: ${event}`, { ...data, event });
   }
 }
 
 module.exports = new Logger();
+module.exports.redact = redact;
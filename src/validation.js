@@ -0,0 +1,339 @@
+/**
+ * Socket event payload validation
+ * Every client event has a declared schema; payloads are checked before any handler runs
+ */
+
+const { SETTABLE_STATES } = require('./presence');
+const { CHUNK_BYTES } = require('./attachments');
+
+// Max chat message length in characters (default 5000)
+const MAX_MESSAGE_LENGTH = parseInt(process.env.CHAT_MAX_MESSAGE_LENGTH, 10) || 5000;
+
+// Default max serialized payload size for events that do not declare their own
+const DEFAULT_MAX_BYTES = 16 * 1024;
+
+// Reusable field rules
+const id = { type: 'string', required: true, maxLength: 128 };
+const optionalId = { type: 'string', maxLength: 128 };
+const sessionDescription = {
+  type: 'object',
+  required: true,
+  fields: {
+    type: { type: 'string', required: true, enum: ['offer', 'answer', 'pranswer', 'rollback'] },
+    sdp: { type: 'string', maxLength: 64 * 1024 }
+  }
+};
+
+const CALL_ID_ONLY = { fields: { callId: id } };
+
+const PRESENCE_EXPERT_IDS = {
+  maxBytes: 32 * 1024,
+  fields: {
+    expertIds: { type: 'array', required: true, maxItems: 200, items: { type: 'string', maxLength: 128 } }
+  }
+};
+
+const EVENT_SCHEMAS = {
+  register: {
+    maxBytes: 1024,
+    fields: {
+      userId: optionalId,
+      userType: { type: 'string', enum: ['user', 'expert'] }
+    }
+  },
+  'call:initiate': {
+    fields: {
+      callId: id,
+      expertId: id,
+      userId: optionalId,
+      queue: { type: 'boolean' }
+    }
+  },
+  'call:accept': CALL_ID_ONLY,
+  'call:reject': {
+    fields: {
+      callId: id,
+      reason: { type: 'string', maxLength: 500 }
+    }
+  },
+  'call:connected': CALL_ID_ONLY,
+  'call:heartbeat': CALL_ID_ONLY,
+  'call:rejoin': CALL_ID_ONLY,
+  'call:end': CALL_ID_ONLY,
+  'queue:leave': CALL_ID_ONLY,
+  'call:invite': {
+    maxBytes: 1024,
+    fields: {
+      callId: id,
+      inviteeId: id,
+      inviteeType: { type: 'string', enum: ['user', 'expert'] }
+    }
+  },
+  'call:transfer': {
+    maxBytes: 2048,
+    fields: {
+      callId: id,
+      targetExpertId: id,
+      mode: { type: 'string', enum: ['cold', 'warm'] },
+      note: { type: 'string', maxLength: 500 }
+    }
+  },
+  'call:transfer_accept': CALL_ID_ONLY,
+  'call:transfer_reject': {
+    fields: {
+      callId: id,
+      reason: { type: 'string', maxLength: 500 }
+    }
+  },
+  'call:transfer_cancel': CALL_ID_ONLY,
+  'call:hold': CALL_ID_ONLY,
+  'call:resume': CALL_ID_ONLY,
+  'call:media_state': {
+    maxBytes: 1024,
+    fields: {
+      callId: id,
+      audio: { type: 'boolean' },
+      video: { type: 'boolean' },
+      screen: { type: 'boolean' }
+    }
+  },
+  'call:join': CALL_ID_ONLY,
+  'call:leave': CALL_ID_ONLY,
+  'expert:set_presence': {
+    maxBytes: 1024,
+    fields: {
+      presence: { type: 'string', required: true, enum: SETTABLE_STATES }
+    }
+  },
+  'presence:subscribe': PRESENCE_EXPERT_IDS,
+  'presence:unsubscribe': PRESENCE_EXPERT_IDS,
+  offer: {
+    maxBytes: 96 * 1024,
+    fields: { callId: id, offer: sessionDescription, to: optionalId }
+  },
+  answer: {
+    maxBytes: 96 * 1024,
+    fields: { callId: id, answer: sessionDescription, to: optionalId }
+  },
+  ice_candidate: {
+    maxBytes: 4 * 1024,
+    fields: {
+      callId: id,
+      to: optionalId,
+      candidate: {
+        type: 'object',
+        required: true,
+        fields: {
+          candidate: { type: 'string', maxLength: 2048 },
+          sdpMid: { type: 'string', nullable: true, maxLength: 64 },
+          sdpMLineIndex: { type: 'number', nullable: true, min: 0 }
+        }
+      }
+    }
+  },
+  send_message: {
+    maxBytes: MAX_MESSAGE_LENGTH * 4 + 2048,
+    fields: {
+      receiverId: optionalId, // may be left out for a group message to a joined chatId
+      content: { type: 'string', required: true, minLength: 1, maxLength: MAX_MESSAGE_LENGTH },
+      type: { type: 'string', maxLength: 32 },
+      tempId: { type: 'string', maxLength: 128 },
+      chatId: optionalId
+    }
+  },
+  'chat:ack': {
+    maxBytes: 32 * 1024,
+    fields: {
+      messageIds: { type: 'array', required: true, maxItems: 500, items: { type: 'string', maxLength: 128 } }
+    }
+  },
+  'chat:join': {
+    fields: {
+      chatId: id,
+      since: optionalId,
+      limit: { type: 'number', min: 1, max: 200 }
+    }
+  },
+  'chat:leave': {
+    fields: {
+      chatId: id
+    }
+  },
+  'attachment:start': {
+    maxBytes: 2048,
+    fields: {
+      name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+      mimeType: { type: 'string', required: true, maxLength: 127 },
+      size: { type: 'number', required: true, min: 1 },
+      sha256: { type: 'string', required: true, minLength: 64, maxLength: 64 },
+      receiverId: optionalId,
+      chatId: optionalId,
+      tempId: { type: 'string', maxLength: 128 }
+    }
+  },
+  'attachment:chunk': {
+    maxBytes: CHUNK_BYTES + 1024,
+    fields: {
+      uploadId: id,
+      index: { type: 'number', required: true, min: 0 },
+      data: { type: 'binary', required: true, maxBytes: CHUNK_BYTES }
+    }
+  },
+  'attachment:cancel': {
+    fields: {
+      uploadId: id
+    }
+  },
+  typing: {
+    maxBytes: 1024,
+    fields: {
+      receiverId: optionalId,
+      chatId: optionalId,
+      isTyping: { type: 'boolean', required: true }
+    }
+  },
+  message_read: {
+    maxBytes: 32 * 1024,
+    fields: {
+      senderId: optionalId, // older clients; senders are looked up from the message ids
+      chatId: optionalId,
+      messageIds: { type: 'array', required: true, maxItems: 500, items: { type: 'string', maxLength: 128 } }
+    }
+  }
+};
+
+// Legacy event names share the schema of their namespaced equivalent
+const EVENT_ALIASES = {
+  call_request: 'call:initiate',
+  accept_call: 'call:accept',
+  reject_call: 'call:reject',
+  call_connected: 'call:connected',
+  end_call: 'call:end'
+};
+
+function isBinary(value) {
+  return Buffer.isBuffer(value) || value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (isBinary(value)) return 'binary';
+  return typeof value;
+}
+
+// Check a value against a field rule; collects { field, message } entries into details
+function checkField(rule, value, path, details) {
+  if (value === undefined) {
+    if (rule.required) details.push({ field: path, message: 'is required' });
+    return;
+  }
+  if (value === null && rule.nullable) {
+    return;
+  }
+
+  const actual = typeOf(value);
+  if (actual !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+    details.push({ field: path, message: `must be a ${rule.type}` });
+    return;
+  }
+
+  if (rule.type === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      details.push({ field: path, message: `must be at least ${rule.minLength} characters` });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      details.push({ field: path, message: `must be at most ${rule.maxLength} characters` });
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      details.push({ field: path, message: `must be one of ${rule.enum.join(', ')}` });
+    }
+  }
+
+  if (rule.type === 'number') {
+    if (rule.min !== undefined && value < rule.min) {
+      details.push({ field: path, message: `must be >= ${rule.min}` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      details.push({ field: path, message: `must be <= ${rule.max}` });
+    }
+  }
+
+  if (rule.type === 'binary' && rule.maxBytes !== undefined && value.byteLength > rule.maxBytes) {
+    details.push({ field: path, message: `must be at most ${rule.maxBytes} bytes` });
+  }
+
+  if (rule.type === 'array') {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      details.push({ field: path, message: `must have at most ${rule.maxItems} items` });
+      return;
+    }
+    if (rule.items) {
+      value.forEach((item, index) => checkField({ ...rule.items, required: true }, item, `${path}[${index}]`, details));
+    }
+  }
+
+  if (rule.type === 'object' && rule.fields) {
+    checkFields(rule.fields, value, `${path}.`, details);
+  }
+}
+
+function checkFields(fields, data, prefix, details) {
+  for (const [name, rule] of Object.entries(fields)) {
+    checkField(rule, data[name], `${prefix}${name}`, details);
+  }
+}
+
+// Validate an event payload; returns null when valid, otherwise a list of { field, message }
+function validateEvent(event, data) {
+  const schema = EVENT_SCHEMAS[EVENT_ALIASES[event] || event];
+  if (!schema) {
+    return null;
+  }
+
+  if (typeOf(data) !== 'object') {
+    return [{ field: 'payload', message: 'must be an object' }];
+  }
+
+  // Binary fields count as their byte length rather than their JSON form
+  let binaryBytes = 0;
+  const countBinary = function (key, value) {
+    if (isBinary(this[key])) {
+      binaryBytes += this[key].byteLength;
+      return null;
+    }
+    return value;
+  };
+
+  let size;
+  try {
+    size = Buffer.byteLength(JSON.stringify(data, countBinary)) + binaryBytes;
+  } catch (error) {
+    return [{ field: 'payload', message: 'must be JSON serializable' }];
+  }
+  const maxBytes = schema.maxBytes || DEFAULT_MAX_BYTES;
+  if (size > maxBytes) {
+    return [{ field: 'payload', message: `must be at most ${maxBytes} bytes` }];
+  }
+
+  const details = [];
+  checkFields(schema.fields, data, '', details);
+  return details.length > 0 ? details : null;
+}
+
+// Standard error ack shape for every socket event
+// `error` mirrors `message` for clients written against the older { success, error } acks
+function errorAck(code, message, details) {
+  const ack = { success: false, code, message, error: message };
+  if (details !== undefined) {
+    ack.details = details;
+  }
+  return ack;
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  EVENT_ALIASES,
+  validateEvent,
+  errorAck
+};
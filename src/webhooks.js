@@ -0,0 +1,206 @@
+/**
+ * Outbound webhooks for call lifecycle and expert presence events
+ * Each delivery is a JSON POST signed with HMAC-SHA256 over `${timestamp}.${body}`
+ *
+ * WEBHOOK_SUBSCRIBERS='[{"id":"crm","url":"https://crm.example.com/hooks","secret":"...","events":["call.*"]}]'
+ *   events: exact names, "call.*" style prefixes or "*" (default: all events)
+ *   secret: falls back to WEBHOOK_SECRET
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./utils/logger');
+
+const WEBHOOK_EVENTS = [
+  'call.ringing',
+  'call.accepted',
+  'call.rejected',
+  'call.missed',
+  'call.connected',
+  'call.ended',
+  'call.transferred',
+  'call.no_show',
+  'expert.presence_changed'
+];
+
+const REQUEST_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_DELAY = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000;
+
+// Deliveries kept in the in-memory delivery log
+const LOG_SIZE = parseInt(process.env.WEBHOOK_LOG_SIZE, 10) || 500;
+
+function loadSubscribers() {
+  if (!process.env.WEBHOOK_SUBSCRIBERS) {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(process.env.WEBHOOK_SUBSCRIBERS);
+  } catch (error) {
+    logger.error('Invalid WEBHOOK_SUBSCRIBERS, webhooks disabled:', error.message);
+    return [];
+  }
+
+  return (Array.isArray(parsed) ? parsed : [])
+    .map((subscriber, index) => ({
+      id: subscriber.id || `subscriber-${index + 1}`,
+      url: subscriber.url,
+      secret: subscriber.secret || process.env.WEBHOOK_SECRET,
+      events: Array.isArray(subscriber.events) && subscriber.events.length > 0 ? subscriber.events : ['*']
+    }))
+    .filter(subscriber => {
+      if (!subscriber.url || !subscriber.secret) {
+        logger.error('Webhook subscriber needs a url and a secret, skipping', { subscriber: subscriber.id });
+        return false;
+      }
+      return true;
+    });
+}
+
+function matchesFilter(filters, type) {
+  return filters.some(filter =>
+    filter === '*' || filter === type || (filter.endsWith('.*') && type.startsWith(filter.slice(0, -1)))
+  );
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class WebhookDispatcher {
+  constructor(subscribers = loadSubscribers()) {
+    this.subscribers = subscribers;
+
+    // Most recent deliveries, oldest first
+    this.deliveries = [];
+
+    this.stats = {
+      delivered: 0,
+      failed: 0,
+      retries: 0
+    };
+
+    if (this.subscribers.length > 0) {
+      logger.info(`Webhooks enabled for ${this.subscribers.length} subscriber(s)`, {
+        subscribers: this.subscribers.map(s => s.id)
+      });
+    }
+  }
+
+  // Fire-and-forget: queue one delivery per subscriber whose filter matches
+  emit(type, data) {
+    if (!WEBHOOK_EVENTS.includes(type)) {
+      logger.warn('Unknown webhook event type', { type });
+      return;
+    }
+
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    for (const subscriber of this.subscribers) {
+      if (matchesFilter(subscriber.events, type)) {
+        this._deliver(subscriber, event);
+      }
+    }
+  }
+
+  _record(delivery) {
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > LOG_SIZE) {
+      this.deliveries.shift();
+    }
+  }
+
+  async _deliver(subscriber, event) {
+    const body = JSON.stringify(event);
+    const delivery = {
+      deliveryId: crypto.randomUUID(),
+      eventId: event.id,
+      event: event.type,
+      subscriber: subscriber.id,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      createdAt: event.createdAt,
+      lastAttemptAt: null
+    };
+    this._record(delivery);
+
+    while (delivery.attempts < MAX_ATTEMPTS) {
+      delivery.attempts++;
+      delivery.lastAttemptAt = new Date().toISOString();
+
+      // Signed per attempt so receivers can reject stale timestamps
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      try {
+        const response = await axios.post(subscriber.url, body, {
+          timeout: REQUEST_TIMEOUT,
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': event.id,
+            'X-Webhook-Event': event.type,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${sign(subscriber.secret, timestamp, body)}`
+          }
+        });
+        delivery.status = 'delivered';
+        delivery.responseStatus = response.status;
+        delivery.error = null;
+        this.stats.delivered++;
+        logger.debug('Webhook delivered', { subscriber: subscriber.id, type: event.type, eventId: event.id });
+        return;
+      } catch (error) {
+        delivery.responseStatus = error.response ? error.response.status : null;
+        delivery.error = error.response ? `HTTP ${error.response.status}` : error.message;
+
+        // 4xx other than 408/429 will not succeed on retry
+        const status = delivery.responseStatus;
+        const permanent = status && status >= 400 && status < 500 && status !== 408 && status !== 429;
+        if (permanent || delivery.attempts >= MAX_ATTEMPTS) {
+          break;
+        }
+
+        this.stats.retries++;
+        await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY * 2 ** (delivery.attempts - 1)));
+      }
+    }
+
+    delivery.status = 'failed';
+    this.stats.failed++;
+    logger.warn('Webhook delivery failed', {
+      subscriber: subscriber.id,
+      type: event.type,
+      eventId: event.id,
+      attempts: delivery.attempts,
+      error: delivery.error
+    });
+  }
+
+  // Subscribers without their secrets
+  getSubscribers() {
+    return this.subscribers.map(({ id, url, events }) => ({ id, url, events }));
+  }
+
+  // Newest first
+  getDeliveries(limit = 100) {
+    return this.deliveries.slice(-limit).reverse();
+  }
+
+  getStats() {
+    return {
+      subscribers: this.subscribers.length,
+      pending: this.deliveries.filter(d => d.status === 'pending').length,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new WebhookDispatcher();
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;